@@ -19,6 +19,8 @@ const pinoHttp = require("pino-http"); // Middleware for logging HTTP requests.
 
 const swaggerUi = require("swagger-ui-express");
 const swaggerSpecs = require("./config/swagger");
+const { STORAGE, LOCAL_ROUTE } = require("./config/storage"); // Where uploaded files live.
+const { requestOrigin } = require("./config/publicUrl"); // Base URL for links to uploaded files.
 
 // Application constants
 const CONFIG = Object.freeze({
@@ -39,6 +41,14 @@ const CONFIG = Object.freeze({
   ],
   WORKER_COUNT: process.env.WORKER_COUNT || os.cpus().length,
   RATE_LIMIT: { windowMs: 15 * 60 * 100000, max: 100000 },
+  AUTH: {
+    // The fallback is public (it is in this file), so it is only ever used outside production
+    SECRET:
+      process.env.AUTH_SECRET ||
+      ((process.env.NODE_ENV || "development") !== "production" ? "artisan-server-dev-secret" : undefined),
+    ACCESS_TOKEN_TTL: process.env.ACCESS_TOKEN_TTL || "15m",
+    REFRESH_TOKEN_TTL_DAYS: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7,
+  },
 });
 
 // Logger setup with context
@@ -63,17 +73,35 @@ const { db, setLogger, connect, disconnect } = require("./db");
 const subscriptions = require("./routes/subscriptions");
 setLogger(logger.child({ module: "database" }));
 
+// Authentication - token issuing and the middleware that protects non-public routes
+const createAuth = require("./config/auth");
+if (!CONFIG.AUTH.SECRET) {
+  logger.fatal("AUTH_SECRET must be set in production");
+  process.exit(1);
+}
+const auth = createAuth({
+  secret: CONFIG.AUTH.SECRET,
+  accessTokenTtl: CONFIG.AUTH.ACCESS_TOKEN_TTL,
+  refreshTokenTtlDays: CONFIG.AUTH.REFRESH_TOKEN_TTL_DAYS,
+  logger: logger.child({ module: "auth" }),
+});
+
 // Route registry with dependency injection - This section is important for defining the application's routes and handling incoming requests.
 const createRouteRegistry = (dbInstance) => ({
   users: {
     path: "./routes/user",
-    dependencies: { db: dbInstance, logger: logger.child({ module: "users" }) },
+    dependencies: {
+      db: dbInstance,
+      logger: logger.child({ module: "users" }),
+      auth: auth.forModule("users"),
+    },
   },
   crafts: {
     path: "./routes/crafts",
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "crafts" }),
+      auth: auth.forModule("crafts"),
     },
   },
   categories: {
@@ -81,6 +109,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "categories" }),
+      auth: auth.forModule("categories"),
     },
   },
   techniques: {
@@ -88,6 +117,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "techniques" }),
+      auth: auth.forModule("techniques"),
     },
   },
   geo_level: {
@@ -95,6 +125,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "geo_level" }),
+      auth: auth.forModule("geo_level"),
     },
   },
   artisans: {
@@ -102,6 +133,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "artisans" }),
+      auth: auth.forModule("artisans"),
     },
   },
   artisanstatic: {
@@ -109,6 +141,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "artisanstatic" }),
+      auth: auth.forModule("artisanstatic"),
     },
   },
   education: {
@@ -116,6 +149,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "education" }),
+      auth: auth.forModule("education"),
     },
   },
   charts: {
@@ -123,6 +157,39 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "charts" }),
+      auth: auth.forModule("charts"),
+    },
+  },
+  sync: {
+    path: "./routes/sync",
+    dependencies: {
+      db: dbInstance,
+      logger: logger.child({ module: "sync" }),
+      auth: auth.forModule("sync"),
+    },
+  },
+  audit: {
+    path: "./routes/audit",
+    dependencies: {
+      db: dbInstance,
+      logger: logger.child({ module: "audit" }),
+      auth: auth.forModule("audit"),
+    },
+  },
+  trash: {
+    path: "./routes/trash",
+    dependencies: {
+      db: dbInstance,
+      logger: logger.child({ module: "trash" }),
+      auth: auth.forModule("trash"),
+    },
+  },
+  storage: {
+    path: "./routes/storage",
+    dependencies: {
+      db: dbInstance,
+      logger: logger.child({ module: "storage" }),
+      auth: auth.forModule("storage"),
     },
   },
   inq: {
@@ -158,6 +225,7 @@ const createRouteRegistry = (dbInstance) => ({
     dependencies: {
       db: dbInstance,
       logger: logger.child({ module: "migration" }),
+      auth: auth.forModule("migration"),
     },
   },
 });
@@ -177,13 +245,14 @@ const createApp = async (dbInstance, routeRegistry) => {
   app.use(pinoHttp({ logger }));
   app.use(express.json({ limit: "100mb", strict: true }));
   app.use(express.urlencoded({ extended: true, limit: "100mb" }));
+  app.use(requestOrigin);
   app.use(
     cors({
       origin: CONFIG.CLIENT_URL,
       credentials: true,
       methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-      allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
-      exposedHeaders: ["X-Total-Count,X-Rate-Limit-Remaining"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "If-Match"],
+      exposedHeaders: ["X-Total-Count", "X-Rate-Limit-Remaining", "Link", "Retry-After", "ETag"],
     })
   );
 
@@ -232,8 +301,8 @@ const createApp = async (dbInstance, routeRegistry) => {
     })
   );
 
-  // Serve static files from the "uploads" directory
-  app.use("/uploads", express.static("uploads"));
+  // Serve local uploads (config/storage.js); with the s3 driver only files stored before it are here
+  app.use(LOCAL_ROUTE, express.static(STORAGE.LOCAL_DIR));
 
   // Catch-all to serve your Angular app for all other routes
   app.use(express.static(require("path").join(__dirname, "public")));
@@ -0,0 +1,142 @@
+// artisanChildRecords.js - trainings, loans and machines edited one row at a time
+const { body } = require("express-validator");
+const { dbAsync } = require("../routes/base_route.js");
+
+const notInFuture = (value) => new Date(value) <= new Date();
+
+// Edits send only the fields they change; creates must send every required one
+const field = (name, optional) =>
+  optional
+    ? body(name).optional()
+    : body(name).exists({ values: "null" }).withMessage(`${name} is required`).bail();
+
+const requiredText = (name, label, optional) =>
+  field(name, optional)
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage(`${label} is required`);
+
+/**
+ * Nested resources under /artisans/:id keyed by table. `rules(optional)`
+ * builds the express-validator chains; edits pass `optional` so only the
+ * fields sent are checked.
+ */
+const CHILD_RECORDS = Object.freeze({
+  trainings: {
+    label: "training",
+    columns: ["title", "duration", "organization", "date"],
+    rules: (optional) => [
+      requiredText("title", "Title", optional),
+      requiredText("duration", "Duration", optional),
+      requiredText("organization", "Organization", optional),
+      body("date")
+        .optional({ values: "null" })
+        .isISO8601()
+        .withMessage("Training date must be a valid date")
+        .bail()
+        .custom(notInFuture)
+        .withMessage("Training date cannot be in the future"),
+    ],
+  },
+  loans: {
+    label: "loan",
+    columns: ["amount", "date", "loan_type", "name", "subName"],
+    rules: (optional) => [
+      field("amount", optional)
+        .isFloat({ gt: 0 })
+        .withMessage("Loan amount must be a number greater than 0")
+        .toFloat(),
+      field("date", optional)
+        .isISO8601()
+        .withMessage("Loan date must be a valid date")
+        .bail()
+        .custom(notInFuture)
+        .withMessage("Loan date cannot be in the future"),
+      body("loan_type").optional({ values: "null" }).isString().withMessage("Loan type must be a string"),
+      body("name").optional({ values: "null" }).isString().withMessage("Lender name must be a string"),
+      body("subName").optional({ values: "null" }).isString().withMessage("Lender branch must be a string"),
+    ],
+  },
+  machines: {
+    label: "machine",
+    columns: ["title", "size", "number_of_machines"],
+    rules: (optional) => [
+      requiredText("title", "Title", optional),
+      requiredText("size", "Size", optional),
+      field("number_of_machines", optional)
+        .isInt({ min: 0 })
+        .withMessage("number_of_machines must be a whole number of at least 0")
+        .toInt(),
+    ],
+  },
+});
+
+const getDefinition = (resource) => {
+  const definition = CHILD_RECORDS[resource];
+  if (!definition) throw new Error(`Unknown artisan child record: ${resource}`);
+  return definition;
+};
+
+// Only the resource's own columns are written; anything else in the body is ignored
+const pickValues = (resource, values) =>
+  Object.fromEntries(
+    getDefinition(resource)
+      .columns.filter((column) => values[column] !== undefined)
+      .map((column) => [column, values[column]])
+  );
+
+const list = (resource, artisanId) =>
+  dbAsync.all(`SELECT * FROM ${resource} WHERE artisan_id = ? ORDER BY id`, [artisanId]);
+
+const get = (resource, artisanId, id) =>
+  dbAsync.get(`SELECT * FROM ${resource} WHERE id = ? AND artisan_id = ?`, [id, artisanId]);
+
+const add = async (resource, artisanId, values, userId = null) => {
+  const row = pickValues(resource, values);
+  const columns = Object.keys(row);
+  const { lastID } = await dbAsync.run(
+    `INSERT INTO ${resource} (artisan_id, user_Id${columns.map((column) => `, ${column}`).join("")})
+     VALUES (?, ?${", ?".repeat(columns.length)})`,
+    [artisanId, userId, ...Object.values(row)]
+  );
+  return get(resource, artisanId, lastID);
+};
+
+/**
+ * Updates the fields present in `values`; returns the row, or null when it
+ * does not belong to the artisan
+ */
+const update = async (resource, artisanId, id, values) => {
+  const row = pickValues(resource, values);
+  const columns = Object.keys(row);
+  if (columns.length > 0) {
+    await dbAsync.run(
+      `UPDATE ${resource}
+       SET ${columns.map((column) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND artisan_id = ?`,
+      [...Object.values(row), id, artisanId]
+    );
+  }
+  return get(resource, artisanId, id);
+};
+
+// Returns false when the row does not belong to the artisan
+const remove = async (resource, artisanId, id) => {
+  const { changes } = await dbAsync.run(
+    `DELETE FROM ${resource} WHERE id = ? AND artisan_id = ?`,
+    [id, artisanId]
+  );
+  return changes > 0;
+};
+
+module.exports = {
+  CHILD_RECORDS,
+  getDefinition,
+  pickValues,
+  list,
+  get,
+  add,
+  update,
+  remove,
+};
@@ -0,0 +1,300 @@
+// artisanDuplicates.js - scores likely duplicate registrations and keeps the review queue
+const { dbAsync } = require("../routes/base_route.js");
+const { distanceMeters, boundingBox } = require("./artisanGeo.js");
+
+// Pairs scoring at least this much are reported (0-100)
+const DUPLICATE_THRESHOLD = parseInt(process.env.DUPLICATE_SCORE_THRESHOLD, 10) || 50;
+
+const REVIEW_STATUSES = ["pending", "confirmed", "not_duplicate"];
+
+// Points each signal contributes; a name match alone never reaches the threshold
+const WEIGHTS = Object.freeze({
+  NAME: 30,
+  FATHER_NAME: 15,
+  CNIC: 30, // CNIC differing by one or two characters, i.e. a typo
+  DATE_OF_BIRTH: 15,
+  CONTACT_NO: 20,
+  NEARBY: 10, // within NEARBY_METERS, half the points within FAR_METERS
+});
+const NEARBY_METERS = 500;
+const FAR_METERS = 2000;
+const MIN_NAME_SIMILARITY = 0.8;
+
+// Spellings of common given names that refer to the same person
+const NAME_VARIANTS = [
+  [/\b(muhammad|mohammad|mohammed|muhammed|mohamad|mohd|muhd|md)\b/g, "muhammad"],
+  [/\b(ahmad|ahmed)\b/g, "ahmad"],
+  [/\b(hussain|husain|hussein|hosain)\b/g, "hussain"],
+];
+
+const normalizeName = (name) => {
+  let text = String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  for (const [pattern, replacement] of NAME_VARIANTS) {
+    text = text.replace(pattern, replacement);
+  }
+  return text;
+};
+
+const digitsOnly = (value) => String(value || "").replace(/\D/g, "");
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0-1 similarity of two names, ignoring word order ("Khan Ali" = "Ali Khan")
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+
+  const ratio = (x, y) => 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+  const sorted = (text) => text.split(" ").sort().join(" ");
+  return Math.max(ratio(left, right), ratio(sorted(left), sorted(right)));
+};
+
+const hasLocation = (record) =>
+  record.latitude !== null && record.latitude !== undefined && record.latitude !== "" &&
+  record.longitude !== null && record.longitude !== undefined && record.longitude !== "";
+
+/**
+ * Scores how likely `candidate` is the same person as `artisan`.
+ * Returns { score, reasons } with score 0-100.
+ */
+const scorePair = (artisan, candidate) => {
+  let score = 0;
+  const reasons = [];
+
+  const nameScore = nameSimilarity(artisan.name, candidate.name);
+  if (nameScore >= MIN_NAME_SIMILARITY) {
+    score += Math.round(WEIGHTS.NAME * nameScore);
+    reasons.push(nameScore === 1 ? "same name" : "similar name");
+  }
+  const fatherScore = nameSimilarity(artisan.father_name, candidate.father_name);
+  if (fatherScore >= MIN_NAME_SIMILARITY) {
+    score += Math.round(WEIGHTS.FATHER_NAME * fatherScore);
+    reasons.push(fatherScore === 1 ? "same father name" : "similar father name");
+  }
+
+  const cnic = digitsOnly(artisan.cnic);
+  const candidateCnic = digitsOnly(candidate.cnic);
+  if (cnic && candidateCnic) {
+    const distance = levenshtein(cnic, candidateCnic);
+    if (distance === 0) {
+      score += WEIGHTS.CNIC;
+      reasons.push("same CNIC");
+    } else if (distance <= 2) {
+      score += WEIGHTS.CNIC;
+      reasons.push(`CNIC differs by ${distance} digit${distance === 1 ? "" : "s"}`);
+    }
+  }
+
+  if (artisan.date_of_birth && artisan.date_of_birth === candidate.date_of_birth) {
+    score += WEIGHTS.DATE_OF_BIRTH;
+    reasons.push("same date of birth");
+  }
+  const phone = digitsOnly(artisan.contact_no);
+  if (phone && phone === digitsOnly(candidate.contact_no)) {
+    score += WEIGHTS.CONTACT_NO;
+    reasons.push("same contact number");
+  }
+
+  if (hasLocation(artisan) && hasLocation(candidate)) {
+    const meters = distanceMeters(
+      Number(artisan.latitude),
+      Number(artisan.longitude),
+      Number(candidate.latitude),
+      Number(candidate.longitude)
+    );
+    if (meters <= FAR_METERS) {
+      score += meters <= NEARBY_METERS ? WEIGHTS.NEARBY : WEIGHTS.NEARBY / 2;
+      reasons.push(`registered ${Math.round(meters)} m away`);
+    }
+  }
+
+  return { score: Math.min(score, 100), reasons };
+};
+
+/**
+ * Artisans that may be the same person as `artisan` (an artisan row or a
+ * create payload), best match first. Only rows sharing a date of birth,
+ * phone number, half of the CNIC or the neighbourhood are scored; a single
+ * CNIC typo always leaves one half intact.
+ *
+ * `scoped` searches artisansView (the caller's geo scope) instead of every artisan.
+ */
+const findCandidates = async (artisan, { excludeId = null, scoped = true } = {}) => {
+  const cnic = digitsOnly(artisan.cnic);
+  const conditions = [];
+  const params = [];
+
+  if (artisan.date_of_birth) {
+    conditions.push("date_of_birth = ?");
+    params.push(artisan.date_of_birth);
+  }
+  if (artisan.contact_no) {
+    conditions.push("contact_no = ?");
+    params.push(artisan.contact_no);
+  }
+  if (cnic.length === 13) {
+    conditions.push("substr(replace(cnic, '-', ''), 1, 7) = ?", "substr(replace(cnic, '-', ''), 8) = ?");
+    params.push(cnic.slice(0, 7), cnic.slice(7));
+  }
+  if (hasLocation(artisan)) {
+    // FAR_METERS box; the exact distance is checked while scoring
+    const box = boundingBox(Number(artisan.latitude), Number(artisan.longitude), FAR_METERS);
+    conditions.push("(latitude BETWEEN ? AND ? AND longitude BETWEEN ? AND ?)");
+    params.push(box.minLat, box.maxLat, box.minLon, box.maxLon);
+  }
+  if (conditions.length === 0) return [];
+
+  const rows = await dbAsync.all(
+    `SELECT id, name, father_name, cnic, contact_no, date_of_birth, latitude, longitude, tehsil_id, user_Id
+     FROM ${scoped ? "artisansView" : "artisans"}
+     WHERE isActive = 1 AND id <> ? AND (${conditions.join(" OR ")})`,
+    [excludeId || 0, ...params]
+  );
+
+  return rows
+    .map((row) => ({ ...row, ...scorePair(artisan, row) }))
+    .filter((row) => row.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Queues every likely duplicate of the artisan for review, across all areas.
+ * Pairs already reviewed keep their decision; pending ones get the new score.
+ */
+const queueCandidates = async (artisanId) => {
+  const artisan = await dbAsync.get("SELECT * FROM artisans WHERE id = ? AND isActive = 1", [
+    artisanId,
+  ]);
+  if (!artisan) return [];
+
+  const candidates = await findCandidates(artisan, { excludeId: artisan.id, scoped: false });
+  for (const candidate of candidates) {
+    const [first, second] = [Number(artisan.id), Number(candidate.id)].sort((a, b) => a - b);
+    await dbAsync.run(
+      `INSERT INTO artisan_duplicates (artisan_id, duplicate_id, score, reasons)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (artisan_id, duplicate_id) DO UPDATE
+         SET score = excluded.score, reasons = excluded.reasons
+         WHERE status = 'pending'`,
+      [first, second, candidate.score, JSON.stringify(candidate.reasons)]
+    );
+  }
+  return candidates;
+};
+
+/**
+ * Review queue, highest score first. Geo-scoped callers only see pairs
+ * involving an artisan inside their area.
+ */
+const listReviews = ({ status = "pending", limit } = {}) =>
+  dbAsync
+    .all(
+      `SELECT d.*,
+              a.name AS artisan_name, a.father_name AS artisan_father_name, a.cnic AS artisan_cnic,
+              b.name AS duplicate_name, b.father_name AS duplicate_father_name, b.cnic AS duplicate_cnic,
+              u.username AS reviewed_by_username
+       FROM artisan_duplicates d
+       JOIN artisans a ON a.id = d.artisan_id
+       JOIN artisans b ON b.id = d.duplicate_id
+       LEFT JOIN user u ON u.id = d.reviewed_by
+       WHERE d.status = ?
+         AND (d.artisan_id IN (SELECT id FROM artisansView)
+              OR d.duplicate_id IN (SELECT id FROM artisansView))
+       ORDER BY d.score DESC, d.id
+       LIMIT ?`,
+      [status, Math.min(parseInt(limit, 10) || 100, 1000)]
+    )
+    .then((rows) => rows.map((row) => ({ ...row, reasons: JSON.parse(row.reasons || "[]") })));
+
+const getReview = async (id) => {
+  const review = await dbAsync.get("SELECT * FROM artisan_duplicates WHERE id = ?", [id]);
+  return review ? { ...review, reasons: JSON.parse(review.reasons || "[]") } : null;
+};
+
+const setReviewStatus = (id, status, userId) =>
+  dbAsync.run(
+    `UPDATE artisan_duplicates
+     SET status = ?, reviewed_by = ?,
+         reviewed_at = CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+     WHERE id = ?`,
+    [status, status === "pending" ? null : userId, status, id]
+  );
+
+/**
+ * After a merge: the merged pair is confirmed and the victim's other pending
+ * pairs are dropped, since the victim is gone (the survivor is re-queued).
+ */
+const resolveMerged = async (survivorId, victimId, userId) => {
+  const [first, second] = [Number(survivorId), Number(victimId)].sort((a, b) => a - b);
+  await dbAsync.run(
+    `UPDATE artisan_duplicates
+     SET status = 'confirmed', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+     WHERE artisan_id = ? AND duplicate_id = ?`,
+    [userId, first, second]
+  );
+  await dbAsync.run(
+    `DELETE FROM artisan_duplicates
+     WHERE status = 'pending' AND (artisan_id = ? OR duplicate_id = ?)`,
+    [victimId, victimId]
+  );
+};
+
+/**
+ * Adds the artisan's likely duplicates to the review queue. Runs after the
+ * write has committed, so a failure here is logged rather than undoing it.
+ */
+const queueDuplicates = async (artisanId, routeLogger) => {
+  try {
+    await queueCandidates(artisanId);
+  } catch (error) {
+    if (routeLogger) routeLogger.warn({ error, artisanId }, "Could not queue duplicate candidates");
+  }
+};
+
+// Likely duplicates of a new artisan, unless the caller already confirmed with ?allowDuplicates=true
+const findCreateDuplicates = async (req, artisan) =>
+  ["true", "1"].includes(String(req.query.allowDuplicates))
+    ? []
+    : findCandidates(artisan || {});
+
+const duplicateWarning = (duplicates) => ({
+  status: "warning",
+  statusCode: 409,
+  message:
+    "This artisan may already be registered; check the matches and resend with ?allowDuplicates=true to create anyway",
+  duplicates,
+});
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  REVIEW_STATUSES,
+  scorePair,
+  findCandidates,
+  queueCandidates,
+  queueDuplicates,
+  findCreateDuplicates,
+  duplicateWarning,
+  listReviews,
+  getReview,
+  setReviewStatus,
+  resolveMerged,
+};
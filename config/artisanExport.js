@@ -0,0 +1,204 @@
+// artisanExport.js - streams filtered artisan lists as CSV or XLSX in fixed-size batches
+const ExcelJS = require("exceljs");
+const { dbAsync } = require("../routes/base_route.js");
+const { fileUrl } = require("./storage.js");
+
+const BATCH_SIZE = 500;
+const FORMATS = ["csv", "xlsx"];
+
+/**
+ * Exportable columns in default order. `flag` columns are written as Yes/No,
+ * `file` columns as links to the stored file.
+ */
+const EXPORT_COLUMNS = [
+  { key: "id", header: "ID" },
+  { key: "name", header: "Name" },
+  { key: "father_name", header: "Father Name" },
+  { key: "cnic", header: "CNIC" },
+  { key: "gender", header: "Gender" },
+  { key: "date_of_birth", header: "Date of Birth" },
+  { key: "contact_no", header: "Contact No" },
+  { key: "email", header: "Email" },
+  { key: "address", header: "Address" },
+  { key: "uc", header: "UC" },
+  { key: "division_name", header: "Division" },
+  { key: "district_name", header: "District" },
+  { key: "tehsil_name", header: "Tehsil" },
+  { key: "craft_name", header: "Craft" },
+  { key: "category_name", header: "Category" },
+  { key: "skill_name", header: "Skill" },
+  { key: "education_name", header: "Education" },
+  { key: "dependents_count", header: "Dependents" },
+  { key: "major_product", header: "Major Product" },
+  { key: "experience", header: "Experience (Years)" },
+  { key: "avg_monthly_income", header: "Avg Monthly Income" },
+  { key: "employment_type", header: "Employment Type" },
+  { key: "raw_material", header: "Raw Material" },
+  { key: "crafting_method", header: "Crafting Method" },
+  { key: "ntn", header: "NTN" },
+  { key: "loan_status", header: "Loan Status", flag: true },
+  { key: "has_machinery", header: "Has Machinery", flag: true },
+  { key: "has_training", header: "Has Training", flag: true },
+  { key: "inherited_skills", header: "Inherited Skills", flag: true },
+  { key: "financial_assistance", header: "Financial Assistance", flag: true },
+  { key: "technical_assistance", header: "Technical Assistance", flag: true },
+  { key: "latitude", header: "Latitude" },
+  { key: "longitude", header: "Longitude" },
+  { key: "profile_picture", header: "Profile Picture", file: true },
+  { key: "trainings_summary", header: "Trainings" },
+  { key: "loans_count", header: "Loans" },
+  { key: "loans_total", header: "Total Loan Amount" },
+  { key: "machines_summary", header: "Machines" },
+  { key: "verification_status", header: "Verification Status" },
+  { key: "username", header: "Registered By" },
+  { key: "created_at", header: "Registered At" },
+];
+
+/**
+ * Resolves `columns=name,cnic,...` to column definitions, all columns when empty.
+ * Returns { columns } or { error } naming the unknown keys.
+ */
+const parseExportColumns = (selection) => {
+  const keys = String(selection || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  if (keys.length === 0) return { columns: EXPORT_COLUMNS };
+
+  const unknown = keys.filter((key) => !EXPORT_COLUMNS.some((column) => column.key === key));
+  if (unknown.length > 0) {
+    return { error: `Unknown export columns: ${unknown.join(", ")}` };
+  }
+  return { columns: keys.map((key) => EXPORT_COLUMNS.find((column) => column.key === key)) };
+};
+
+// Wraps the filtered artisansView query with child summaries, paged by id
+const buildBatchQuery = (filterQuery) => `
+  SELECT v.*,
+    (SELECT group_concat(t.title || ' (' || t.organization || ', ' || t.duration || ')', '; ')
+       FROM trainings t WHERE t.artisan_id = v.id AND t.isActive = 1) AS trainings_summary,
+    (SELECT COUNT(*)
+       FROM loans l WHERE l.artisan_id = v.id AND l.isActive = 1) AS loans_count,
+    (SELECT SUM(l.amount)
+       FROM loans l WHERE l.artisan_id = v.id AND l.isActive = 1) AS loans_total,
+    (SELECT group_concat(m.title || ' x' || m.number_of_machines, '; ')
+       FROM machines m WHERE m.artisan_id = v.id AND m.isActive = 1) AS machines_summary
+  FROM (${filterQuery}) v
+  WHERE v.id > ?
+  ORDER BY v.id
+  LIMIT ${BATCH_SIZE}`;
+
+/**
+ * Yields the rows of `filterQuery` batch by batch so only one batch is held in memory
+ */
+async function* readBatches(filterQuery, params) {
+  const sql = buildBatchQuery(filterQuery);
+  let lastId = 0;
+  for (;;) {
+    const rows = await dbAsync.all(sql, [...params, lastId]);
+    if (rows.length === 0) return;
+    yield rows;
+    if (rows.length < BATCH_SIZE) return;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+const formatValue = (column, value) => {
+  if (value === null || value === undefined) return "";
+  if (column.flag && (value === 1 || value === 0 || value === "1" || value === "0")) {
+    return Number(value) === 1 ? "Yes" : "No";
+  }
+  if (column.file) return fileUrl(value) || "";
+  return value;
+};
+
+const escapeCsv = (value) => {
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user-entered text as a formula
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Settles when the buffer drains or the client goes away, whichever comes first
+const drainedOrClosed = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+const writeCsv = async (res, columns, batches) => {
+  // False once the client has disconnected, which ends the export
+  const write = async (chunk) => {
+    if (res.destroyed) return false;
+    if (!res.write(chunk)) await drainedOrClosed(res);
+    return !res.destroyed;
+  };
+
+  // BOM so Excel opens the UTF-8 (Urdu) text correctly
+  if (!(await write(`\uFEFF${columns.map((column) => escapeCsv(column.header)).join(",")}\r\n`))) return;
+  for await (const rows of batches) {
+    const lines = rows.map(
+      (row) =>
+        columns.map((column) => escapeCsv(formatValue(column, row[column.key]))).join(",") +
+        "\r\n"
+    );
+    if (!(await write(lines.join("")))) return;
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, columns, batches) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet("Artisans");
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+  }));
+
+  for await (const rows of batches) {
+    if (res.destroyed) return;
+    for (const row of rows) {
+      worksheet
+        .addRow(Object.fromEntries(columns.map((column) => [column.key, formatValue(column, row[column.key])])))
+        .commit();
+    }
+  }
+  worksheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Streams the rows matched by `filterQuery` to `res` as an attachment
+ */
+const streamArtisanExport = async (res, { format, columns, filterQuery, params }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.setHeader(
+    "Content-Type",
+    format === "xlsx"
+      ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      : "text/csv; charset=utf-8"
+  );
+  res.setHeader("Content-Disposition", `attachment; filename="artisans-${date}.${format}"`);
+
+  const batches = readBatches(filterQuery, params);
+  return format === "xlsx"
+    ? writeXlsx(res, columns, batches)
+    : writeCsv(res, columns, batches);
+};
+
+module.exports = {
+  FORMATS,
+  EXPORT_COLUMNS,
+  parseExportColumns,
+  streamArtisanExport,
+};
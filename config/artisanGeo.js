@@ -0,0 +1,157 @@
+// artisanGeo.js - radius, bounding box and nearest-neighbour queries on artisan coordinates
+const { dbAsync } = require("../routes/base_route.js");
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE = 111320;
+const MAX_RADIUS_KM = 500;
+const MAX_NEIGHBOURS = 500;
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle (haversine) distance between two points
+const distanceMeters = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Box around a point that contains every point within `meters`, used as an
+ * index-friendly prefilter before the exact distance check
+ */
+const boundingBox = (latitude, longitude, meters) => {
+  const latDelta = meters / METERS_PER_DEGREE;
+  const lonDelta = latDelta / Math.max(Math.cos(toRadians(latitude)), 0.01);
+  return {
+    minLat: latitude - latDelta,
+    maxLat: latitude + latDelta,
+    minLon: longitude - lonDelta,
+    maxLon: longitude + lonDelta,
+  };
+};
+
+const parseNumber = (value, name, min, max) => {
+  const number = Number(value);
+  if (value === "" || !Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Reads the geo part of a query string:
+ * - `lat`, `lon` and `radius_km`: artisans within the radius
+ * - `lat`, `lon` and `k`: the k nearest artisans (optionally within `radius_km`)
+ * - `bbox=minLon,minLat,maxLon,maxLat`: artisans inside the box; distances are
+ *   measured from `lat`/`lon` when given, otherwise from the box centre
+ * Throws a 400 error when the combination is incomplete or out of range.
+ */
+const parseGeoQuery = ({ lat, lon, radius_km: radiusKm, k, bbox }) => {
+  const hasCenter = lat !== undefined || lon !== undefined;
+  if (hasCenter && (lat === undefined || lon === undefined)) {
+    throw badRequest("lat and lon must be given together");
+  }
+  const center = hasCenter
+    ? { latitude: parseNumber(lat, "lat", -90, 90), longitude: parseNumber(lon, "lon", -180, 180) }
+    : null;
+
+  const geo = {
+    center,
+    radiusMeters: radiusKm === undefined ? null : parseNumber(radiusKm, "radius_km", 0.001, MAX_RADIUS_KM) * 1000,
+    k: null,
+    box: null,
+  };
+
+  if (k !== undefined) {
+    geo.k = Number(k);
+    if (!Number.isInteger(geo.k) || geo.k < 1 || geo.k > MAX_NEIGHBOURS) {
+      throw badRequest(`k must be between 1 and ${MAX_NEIGHBOURS}`);
+    }
+  }
+
+  if (bbox !== undefined) {
+    const parts = String(bbox).split(",");
+    if (parts.length !== 4) {
+      throw badRequest("bbox must be minLon,minLat,maxLon,maxLat");
+    }
+    const [minLon, minLat, maxLon, maxLat] = parts.map((part, index) =>
+      index % 2 === 0
+        ? parseNumber(part.trim(), "bbox longitude", -180, 180)
+        : parseNumber(part.trim(), "bbox latitude", -90, 90)
+    );
+    if (minLon > maxLon || minLat > maxLat) {
+      throw badRequest("bbox must be minLon,minLat,maxLon,maxLat with min <= max");
+    }
+    geo.box = { minLat, maxLat, minLon, maxLon };
+    geo.center = geo.center || { latitude: (minLat + maxLat) / 2, longitude: (minLon + maxLon) / 2 };
+  } else if (!center || (geo.radiusMeters === null && geo.k === null)) {
+    throw badRequest("Give lat and lon with radius_km or k, or a bbox");
+  }
+
+  return geo;
+};
+
+// Haversine in SQL, so results can be filtered, ordered and paged by distance
+const DISTANCE_SQL = `${EARTH_RADIUS_METERS} * 2 * asin(sqrt(
+       pow(sin(radians(latitude - ?) / 2), 2) +
+       cos(radians(?)) * cos(radians(latitude)) * pow(sin(radians(longitude - ?) / 2), 2)
+     ))`;
+
+/**
+ * Runs a parsed geo query within `filterQuery` (GET /artisans's filtered
+ * artisansView select), nearest first. Every row carries `distance_km`.
+ * Nearest-neighbour queries return `k` rows; the others are paged.
+ */
+const search = async ({ geo, filterQuery, params, page, limit }) => {
+  const { center, radiusMeters, k, box } = geo;
+  const conditions = ["typeof(latitude) IN ('integer', 'real')", "typeof(longitude) IN ('integer', 'real')"];
+  const conditionParams = [];
+
+  const boxes = [box, radiusMeters !== null && boundingBox(center.latitude, center.longitude, radiusMeters)];
+  for (const area of boxes.filter(Boolean)) {
+    conditions.push("latitude BETWEEN ? AND ?", "longitude BETWEEN ? AND ?");
+    conditionParams.push(area.minLat, area.maxLat, area.minLon, area.maxLon);
+  }
+
+  const distanceParams = [center.latitude, center.latitude, center.longitude];
+  let from = `FROM (SELECT a.*, ${DISTANCE_SQL} AS distance_m
+       FROM (${filterQuery}) a
+       WHERE ${conditions.join(" AND ")})`;
+  const fromParams = [...distanceParams, ...params, ...conditionParams];
+  if (radiusMeters !== null) {
+    from += " WHERE distance_m <= ?";
+    fromParams.push(radiusMeters);
+  }
+
+  const { total } = await dbAsync.get(`SELECT COUNT(*) AS total ${from}`, fromParams);
+
+  let sql = `SELECT * ${from} ORDER BY distance_m, id`;
+  const pageParams = [...fromParams];
+  if (k !== null) {
+    sql += " LIMIT ?";
+    pageParams.push(k);
+  } else if (limit !== null) {
+    sql += " LIMIT ? OFFSET ?";
+    pageParams.push(limit, (page - 1) * limit);
+  }
+
+  const rows = (await dbAsync.all(sql, pageParams)).map(({ distance_m: meters, ...row }) => ({
+    ...row,
+    distance_km: Math.round(meters) / 1000,
+  }));
+  return { rows, total: k !== null ? Math.min(total, k) : total };
+};
+
+module.exports = {
+  MAX_RADIUS_KM,
+  MAX_NEIGHBOURS,
+  distanceMeters,
+  boundingBox,
+  parseGeoQuery,
+  search,
+};
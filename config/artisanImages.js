@@ -0,0 +1,197 @@
+// artisanImages.js - an artisan's product and shop photos edited one at a time: captions, order and cover
+const { body } = require("express-validator");
+const { dbAsync } = require("../routes/base_route.js");
+const { fileUrl, keyOf } = require("./storage.js");
+const { getVariants } = require("./imageProcessing.js");
+
+// Per artisan and set; uploads past it are refused
+const MAX_IMAGES = 20;
+const MAX_CAPTION_LENGTH = 500;
+
+/**
+ * Image sets under /artisans/:id keyed by table. `field` is the multipart
+ * field new files are uploaded in (also what picks their storage folder).
+ */
+const IMAGE_SETS = Object.freeze({
+  product_images: { label: "product image", field: "product_images" },
+  shop_images: { label: "shop image", field: "shop_images" },
+});
+
+const getDefinition = (resource) => IMAGE_SETS[resource];
+
+// Cover first, then the display order; images never ordered keep upload order
+const ORDER = "is_cover DESC, sort_order, id";
+
+const captionRule = (name) =>
+  body(name)
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Caption must be text")
+    .bail()
+    .trim()
+    .isLength({ max: MAX_CAPTION_LENGTH })
+    .withMessage(`Caption must be at most ${MAX_CAPTION_LENGTH} characters`);
+
+const addRules = () => [
+  body("captions")
+    .optional()
+    .customSanitizer((value) => (Array.isArray(value) ? value : [value])),
+  captionRule("captions.*"),
+];
+
+const updateRules = () => [
+  captionRule("caption"),
+  body("sort_order")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("sort_order must be a non-negative integer")
+    .toInt(),
+  body("is_cover").optional().isBoolean().withMessage("is_cover must be true or false").toBoolean(),
+];
+
+const reorderRules = () => [
+  body("ids").isArray({ min: 1 }).withMessage("ids must be a list of image ids"),
+  body("ids.*").isInt({ min: 1 }).withMessage("ids must be a list of image ids").toInt(),
+];
+
+// Public URLs, resized variants and a boolean cover flag
+const present = async (rows) => {
+  const variants = await getVariants(rows.map((row) => keyOf(row.image_path)));
+  return rows.map((row) => {
+    const { thumbnail = null, medium = null } = variants[keyOf(row.image_path)] || {};
+    return {
+      id: row.id,
+      artisan_id: row.artisan_id,
+      url: fileUrl(row.image_path),
+      thumbnail: fileUrl(thumbnail),
+      medium: fileUrl(medium),
+      caption: row.caption,
+      sort_order: row.sort_order,
+      is_cover: Boolean(row.is_cover),
+    };
+  });
+};
+
+const listRows = (resource, artisanId) =>
+  dbAsync.all(`SELECT * FROM ${resource} WHERE artisan_id = ? ORDER BY ${ORDER}`, [artisanId]);
+
+const list = async (resource, artisanId) => present(await listRows(resource, artisanId));
+
+const get = async (resource, artisanId, id) => {
+  const row = await dbAsync.get(`SELECT * FROM ${resource} WHERE id = ? AND artisan_id = ?`, [id, artisanId]);
+  return row ? (await present([row]))[0] : null;
+};
+
+/**
+ * Adds already stored images (storage keys) after the existing ones;
+ * `captions` match them by position. Refused with a 400 past MAX_IMAGES.
+ */
+const add = async (resource, artisanId, keys, captions = []) => {
+  const { count, last } = await dbAsync.get(
+    `SELECT COUNT(*) AS count, MAX(sort_order) AS last FROM ${resource} WHERE artisan_id = ?`,
+    [artisanId]
+  );
+  if (count + keys.length > MAX_IMAGES) {
+    throw Object.assign(
+      new Error(
+        `An artisan can have at most ${MAX_IMAGES} ${getDefinition(resource).label}s (${count} already uploaded)`
+      ),
+      { statusCode: 400 }
+    );
+  }
+
+  const ids = [];
+  let sortOrder = last === null ? 0 : last + 1;
+  for (const [index, key] of keys.entries()) {
+    const { lastID } = await dbAsync.run(
+      `INSERT INTO ${resource} (artisan_id, image_path, caption, sort_order) VALUES (?, ?, ?, ?)`,
+      [artisanId, key, captions[index] || null, sortOrder++]
+    );
+    ids.push(lastID);
+  }
+  const rows = await dbAsync.all(
+    `SELECT * FROM ${resource} WHERE id IN (${ids.map(() => "?").join(", ")}) ORDER BY ${ORDER}`,
+    ids
+  );
+  return present(rows);
+};
+
+/**
+ * Changes the caption, sort_order or cover flag sent; making an image the
+ * cover takes the flag off the artisan's other images. Returns the image, or
+ * null when it does not belong to the artisan.
+ */
+const update = async (resource, artisanId, id, values) => {
+  const exists = await dbAsync.get(`SELECT id FROM ${resource} WHERE id = ? AND artisan_id = ?`, [
+    id,
+    artisanId,
+  ]);
+  if (!exists) return null;
+
+  if (values.is_cover === true) {
+    await dbAsync.run(`UPDATE ${resource} SET is_cover = 0 WHERE artisan_id = ? AND id <> ? AND is_cover = 1`, [
+      artisanId,
+      id,
+    ]);
+  }
+  const row = {};
+  if (values.caption !== undefined) row.caption = values.caption || null;
+  if (values.sort_order !== undefined) row.sort_order = values.sort_order;
+  if (values.is_cover !== undefined) row.is_cover = values.is_cover ? 1 : 0;
+  const columns = Object.keys(row);
+  if (columns.length > 0) {
+    await dbAsync.run(
+      `UPDATE ${resource} SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [...Object.values(row), id]
+    );
+  }
+  return get(resource, artisanId, id);
+};
+
+/**
+ * Sets the display order to that of `ids`, which must name each of the
+ * artisan's images exactly once (a 400 otherwise). Returns the images in order.
+ */
+const reorder = async (resource, artisanId, ids) => {
+  const current = (await listRows(resource, artisanId)).map((row) => row.id);
+  const given = new Set(ids);
+  if (given.size !== ids.length || given.size !== current.length || !current.every((id) => given.has(id))) {
+    throw Object.assign(new Error("ids must list each of the artisan's images exactly once"), {
+      statusCode: 400,
+    });
+  }
+  for (const [index, id] of ids.entries()) {
+    await dbAsync.run(`UPDATE ${resource} SET sort_order = ? WHERE id = ?`, [index, id]);
+  }
+  return list(resource, artisanId);
+};
+
+/**
+ * Deletes the row; returns its stored path (for removing the file once the
+ * transaction commits), or null when it does not belong to the artisan
+ */
+const remove = async (resource, artisanId, id) => {
+  const row = await dbAsync.get(`SELECT image_path FROM ${resource} WHERE id = ? AND artisan_id = ?`, [
+    id,
+    artisanId,
+  ]);
+  if (!row) return null;
+  await dbAsync.run(`DELETE FROM ${resource} WHERE id = ?`, [id]);
+  return row.image_path;
+};
+
+module.exports = {
+  MAX_IMAGES,
+  IMAGE_SETS,
+  ORDER,
+  getDefinition,
+  addRules,
+  updateRules,
+  reorderRules,
+  list,
+  get,
+  add,
+  update,
+  reorder,
+  remove,
+};
@@ -0,0 +1,262 @@
+// artisanImport.js - turns partner spreadsheets into validated artisan rows for POST /artisans/import
+const path = require("path");
+const { Readable } = require("stream");
+const ExcelJS = require("exceljs");
+const { dbAsync } = require("../routes/base_route.js");
+const { runValidators } = require("../routes/artisans_base_route.js");
+const { EXPORT_COLUMNS } = require("./artisanExport.js");
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Employment types are fixed ids in artisansView
+const EMPLOYMENT_TYPES = { "self employed": 1, entrepreneur: 2, employee: 3 };
+
+const TEXT_FIELDS = [
+  "name",
+  "father_name",
+  "cnic",
+  "gender",
+  "date_of_birth",
+  "contact_no",
+  "email",
+  "address",
+  "uc",
+  "major_product",
+  "raw_material",
+  "crafting_method",
+  "ntn",
+  "comments",
+];
+const NUMBER_FIELDS = [
+  "dependents_count",
+  "experience",
+  "avg_monthly_income",
+  "latitude",
+  "longitude",
+];
+const FLAG_FIELDS = EXPORT_COLUMNS.filter((column) => column.flag).map((column) => column.key);
+
+const normalizeHeader = (header) => String(header || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const normalizeName = (name) => String(name || "").trim().toLowerCase();
+
+// Accepts the export headers ("Father Name") as well as the raw keys ("father_name")
+const HEADER_KEYS = new Map([
+  ...EXPORT_COLUMNS.flatMap((column) => [
+    [normalizeHeader(column.header), column.key],
+    [normalizeHeader(column.key), column.key],
+  ]),
+  [normalizeHeader("comments"), "comments"],
+  [normalizeHeader("technique"), "skill_name"],
+]);
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if ("result" in value) return cellText(value.result);
+    if ("text" in value) return String(value.text);
+  }
+  return String(value).trim();
+};
+
+/**
+ * Reads the first worksheet into [{ rowNumber, values: { key: text } }]
+ * using the header row to pick columns. Unknown headers are ignored.
+ */
+const readImportFile = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  if (path.extname(file.originalname).toLowerCase() === ".xlsx") {
+    await workbook.xlsx.load(file.buffer);
+  } else {
+    // Keep every CSV value as text; CNICs and phone numbers must not become numbers
+    await workbook.csv.read(Readable.from([file.buffer]), { map: (value) => value });
+  }
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return { headers: [], rows: [] };
+
+  const columnKeys = [];
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const key = HEADER_KEYS.get(normalizeHeader(cellText(cell.value).replace(/^\uFEFF/, "")));
+    if (key) columnKeys[columnNumber] = key;
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell((cell, columnNumber) => {
+      const key = columnKeys[columnNumber];
+      if (key) values[key] = cellText(cell.value);
+    });
+    if (Object.values(values).some((value) => value !== "")) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  return { headers: columnKeys.filter(Boolean), rows };
+};
+
+/**
+ * Lookup tables used to turn names into ids, loaded once per import
+ */
+const loadLookups = async () => {
+  const [techniques, education, tehsils, districts] = await Promise.all([
+    dbAsync.all(`
+      SELECT t.id, t.name, c.name AS category_name, cr.name AS craft_name
+      FROM techniques t
+      LEFT JOIN categories c ON c.id = t.category_Id
+      LEFT JOIN crafts cr ON cr.id = c.craft_Id
+      WHERE COALESCE(t.isActive, 1) = 1`),
+    dbAsync.all("SELECT id, name FROM education"),
+    dbAsync.all("SELECT id, code, name FROM geo_level WHERE length(code) = 9"),
+    dbAsync.all("SELECT code, name FROM geo_level WHERE length(code) = 6"),
+  ]);
+  return { techniques, education, tehsils, districts };
+};
+
+// Picks the single candidate matching `name`, narrowed by the optional filters
+const resolveOne = (candidates, label, name, narrow = []) => {
+  let matches = candidates.filter((item) => normalizeName(item.name) === normalizeName(name));
+  for (const [field, value] of narrow) {
+    if (value && matches.length > 1) {
+      matches = matches.filter((item) => normalizeName(item[field]) === normalizeName(value));
+    }
+  }
+  if (matches.length === 0) return { error: `Unknown ${label} '${name}'` };
+  if (matches.length > 1) return { error: `Ambiguous ${label} '${name}'` };
+  return { id: matches[0].id, match: matches[0] };
+};
+
+const parseFlag = (value) => {
+  const text = normalizeName(value);
+  if (["yes", "y", "true", "1"].includes(text)) return 1;
+  if (["no", "n", "false", "0"].includes(text)) return 0;
+  return undefined;
+};
+
+/**
+ * Converts one spreadsheet row into an artisan object for entityOps.createArtisan
+ */
+const mapRow = (values, lookups, geoScope) => {
+  const artisan = {};
+  const errors = [];
+
+  for (const field of TEXT_FIELDS) {
+    if (values[field]) artisan[field] = values[field];
+  }
+  for (const field of NUMBER_FIELDS) {
+    if (values[field] === undefined || values[field] === "") continue;
+    const number = Number(values[field].replace(/,/g, ""));
+    if (Number.isNaN(number)) errors.push(`${field} must be a number`);
+    else artisan[field] = number;
+  }
+  for (const field of FLAG_FIELDS) {
+    if (values[field] === undefined || values[field] === "") continue;
+    const flag = parseFlag(values[field]);
+    if (flag === undefined) errors.push(`${field} must be Yes or No`);
+    else artisan[field] = flag;
+  }
+
+  if (values.skill_name) {
+    const skill = resolveOne(lookups.techniques, "skill", values.skill_name, [
+      ["category_name", values.category_name],
+      ["craft_name", values.craft_name],
+    ]);
+    if (skill.error) errors.push(skill.error);
+    else artisan.skill_id = skill.id;
+  } else {
+    errors.push("Skill is required");
+  }
+
+  if (values.education_name) {
+    const education = resolveOne(lookups.education, "education level", values.education_name);
+    if (education.error) errors.push(education.error);
+    else artisan.education_level_id = education.id;
+  }
+
+  if (values.tehsil_name) {
+    const district = values.district_name
+      ? lookups.districts.find((item) => normalizeName(item.name) === normalizeName(values.district_name))
+      : null;
+    const tehsils = district
+      ? lookups.tehsils.filter((item) => item.code.startsWith(district.code))
+      : lookups.tehsils;
+    const tehsil = resolveOne(tehsils, "tehsil", values.tehsil_name);
+    if (tehsil.error) errors.push(tehsil.error);
+    else if (geoScope && !tehsil.match.code.startsWith(geoScope)) {
+      errors.push(`Tehsil '${values.tehsil_name}' is outside your area`);
+    } else artisan.tehsil_id = tehsil.id;
+  } else if (geoScope) {
+    errors.push("Tehsil is required");
+  }
+
+  if (values.employment_type) {
+    const employmentTypeId = EMPLOYMENT_TYPES[normalizeName(values.employment_type)];
+    if (employmentTypeId) artisan.employment_type_id = employmentTypeId;
+    else errors.push(`Unknown employment type '${values.employment_type}'`);
+  } else {
+    errors.push("Employment type is required");
+  }
+
+  if (!artisan.major_product) errors.push("Major product is required");
+  if (artisan.dependents_count === undefined) artisan.dependents_count = 0;
+  if (artisan.dependents_count < 0) errors.push("Dependents must not be negative");
+
+  return { artisan, errors };
+};
+
+/**
+ * Parses and validates an uploaded spreadsheet. Returns one entry per data
+ * row with the mapped artisan and its errors; nothing is written.
+ */
+const prepareImport = async (file, { validators, geoScope }) => {
+  const { headers, rows } = await readImportFile(file).catch((err) => {
+    throw Object.assign(new Error(`Could not read the file: ${err.message}`), { statusCode: 400 });
+  });
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw Object.assign(new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`), {
+      statusCode: 400,
+    });
+  }
+
+  const lookups = await loadLookups();
+  const results = [];
+  for (const { rowNumber, values } of rows) {
+    const { artisan, errors } = mapRow(values, lookups, geoScope);
+    // The validators also bring CNIC and phone number into their canonical form
+    errors.push(...(await runValidators(validators, { artisan })));
+    results.push({ row: rowNumber, artisan, errors });
+  }
+
+  const cnics = results.map((result) => result.artisan.cnic).filter(Boolean);
+  const existing = new Set(
+    cnics.length > 0
+      ? (
+          await dbAsync.all(
+            `SELECT cnic FROM artisans WHERE cnic IN (${cnics.map(() => "?").join(", ")})`,
+            cnics
+          )
+        ).map((row) => row.cnic)
+      : []
+  );
+
+  const seen = new Map();
+  for (const { row, artisan, errors } of results) {
+    if (!artisan.cnic) continue;
+    if (existing.has(artisan.cnic)) {
+      errors.push(`CNIC ${artisan.cnic} is already registered`);
+    } else if (seen.has(artisan.cnic)) {
+      errors.push(`CNIC ${artisan.cnic} also appears on row ${seen.get(artisan.cnic)}`);
+    } else {
+      seen.set(artisan.cnic, row);
+    }
+  }
+  return { headers, rows: results };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  prepareImport,
+};
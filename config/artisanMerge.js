@@ -0,0 +1,131 @@
+// artisanMerge.js - folds a duplicate artisan (the victim) into the record that survives
+const { dbAsync } = require("../routes/base_route.js");
+const auditLog = require("./auditLog.js");
+const { IMAGE_SETS } = require("./artisanImages.js");
+
+const CHILD_TABLES = auditLog.ENTITIES.artisans.children;
+
+// Bookkeeping and identity columns that always stay with their own row
+const FIXED_COLUMNS = [
+  "id",
+  "created_at",
+  "updated_at",
+  "revision",
+  "isActive",
+  "merged_into",
+  "client_uuid",
+  "verification_status",
+  "verification_comment",
+];
+
+// Unique columns; taking the victim's value swaps the two so neither row breaks the constraint
+const UNIQUE_COLUMNS = ["cnic"];
+
+const WINNERS = ["survivor", "victim"];
+
+/**
+ * Columns whose value the caller may take from either artisan
+ */
+const getMergeableColumns = async () =>
+  (await dbAsync.all("PRAGMA table_info(artisans)"))
+    .map((column) => column.name)
+    .filter((name) => !FIXED_COLUMNS.includes(name));
+
+/**
+ * Checks `{ column: "survivor" | "victim" }`; returns the error messages
+ */
+const validateFieldWinners = async (fields) => {
+  if (fields === undefined || fields === null) return [];
+  if (typeof fields !== "object" || Array.isArray(fields)) {
+    return ["fields must be an object of { column: 'survivor' | 'victim' }"];
+  }
+  const columns = await getMergeableColumns();
+  return Object.entries(fields).flatMap(([column, winner]) => {
+    if (!columns.includes(column)) return [`${column} cannot be merged`];
+    if (!WINNERS.includes(winner)) return [`${column} must be 'survivor' or 'victim'`];
+    return [];
+  });
+};
+
+/**
+ * Copies the chosen victim fields onto the survivor, moves every child row,
+ * then deactivates the victim pointing at the survivor. Artisans previously
+ * merged into the victim are re-pointed too. Runs inside the caller's
+ * transaction; returns the victim fields that were taken.
+ */
+const merge = async (survivorId, victimId, fields = {}) => {
+  const victim = await dbAsync.get("SELECT * FROM artisans WHERE id = ?", [victimId]);
+  const taken = Object.keys(fields || {}).filter((column) => fields[column] === "victim");
+
+  const swapped = taken.filter((column) => UNIQUE_COLUMNS.includes(column));
+  if (swapped.length > 0) {
+    const survivor = await dbAsync.get("SELECT * FROM artisans WHERE id = ?", [survivorId]);
+    // Park the victim's values first so the survivor can take them
+    await dbAsync.run(
+      `UPDATE artisans SET ${swapped.map((column) => `${column} = ${column} || '#merging'`).join(", ")}
+       WHERE id = ?`,
+      [victimId]
+    );
+    await dbAsync.run(
+      `UPDATE artisans SET ${swapped.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [...swapped.map((column) => victim[column]), survivorId]
+    );
+    await dbAsync.run(
+      `UPDATE artisans SET ${swapped.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [...swapped.map((column) => survivor[column]), victimId]
+    );
+  }
+
+  const copied = taken.filter((column) => !UNIQUE_COLUMNS.includes(column));
+  if (copied.length > 0) {
+    await dbAsync.run(
+      `UPDATE artisans SET ${copied.map((column) => `${column} = ?`).join(", ")},
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [...copied.map((column) => victim[column]), survivorId]
+    );
+  }
+
+  // The survivor keeps its own cover image, if it has one
+  for (const table of Object.keys(IMAGE_SETS)) {
+    await dbAsync.run(
+      `UPDATE ${table} SET is_cover = 0
+       WHERE artisan_id = ? AND EXISTS (SELECT 1 FROM ${table} WHERE artisan_id = ? AND is_cover = 1)`,
+      [victimId, survivorId]
+    );
+  }
+  for (const table of CHILD_TABLES) {
+    await dbAsync.run(`UPDATE ${table} SET artisan_id = ? WHERE artisan_id = ?`, [
+      survivorId,
+      victimId,
+    ]);
+  }
+
+  await dbAsync.run(
+    `UPDATE artisans SET isActive = 0, merged_into = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? OR merged_into = ?`,
+    [survivorId, victimId, victimId]
+  );
+
+  return taken;
+};
+
+/**
+ * The artisan a merged one was folded into. Merges re-point older victims,
+ * so this is always a single hop.
+ */
+const resolveMergedId = async (id) => {
+  const row = await dbAsync.get(
+    "SELECT merged_into FROM artisans WHERE id = ? AND isActive = 0 AND merged_into IS NOT NULL",
+    [id]
+  );
+  return row ? row.merged_into : null;
+};
+
+module.exports = {
+  WINNERS,
+  getMergeableColumns,
+  validateFieldWinners,
+  merge,
+  resolveMergedId,
+};
@@ -0,0 +1,99 @@
+// artisanSearch.js - ranked full-text search over the artisans_fts index
+const { dbAsync } = require("../routes/base_route.js");
+const { normalizeCnic, normalizeMobile } = require("./identityValidation.js");
+
+// Same order as ARTISAN_SEARCH_COLUMNS in config/schema.js, with the bm25 weight of each
+const SEARCH_COLUMNS = [
+  { column: "name", weight: 10 },
+  { column: "father_name", weight: 5 },
+  { column: "cnic", weight: 10 },
+  { column: "contact_no", weight: 10 },
+  { column: "address", weight: 2 },
+  { column: "uc", weight: 2 },
+  { column: "major_product", weight: 3 },
+  { column: "raw_material", weight: 1 },
+  { column: "comments", weight: 1 },
+];
+
+// highlight() marks matches with control characters (char(2) and char(3) in SQL);
+// they become <mark> tags once the field text itself has been HTML-escaped
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+const MAX_TERMS = 10;
+
+const HTML_ENTITIES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+// Highlighted field as safe HTML: only the <mark> tags are markup
+const toHighlightHtml = (value) =>
+  value
+    .replace(/[&<>"']/g, (char) => HTML_ENTITIES[char])
+    .replaceAll(MATCH_START, "<mark>")
+    .replaceAll(MATCH_END, "</mark>");
+
+/**
+ * Turns free text into an FTS5 query: every word must match, as a prefix so
+ * partial words ("muham") find whole ones. A bare CNIC or mobile number
+ * without dashes is first rewritten to the stored form. Returns null when
+ * there is nothing to search for.
+ */
+const buildMatchQuery = (text) => {
+  let value = String(text ?? "").trim();
+  if (/^[\d\s+-]+$/.test(value)) {
+    const cnic = normalizeCnic(value);
+    value = cnic !== value ? cnic : normalizeMobile(value);
+  }
+
+  const terms = value
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+  if (terms.length === 0) return null;
+  return terms.map((term) => `"${term}"*`).join(" AND ");
+};
+
+/**
+ * Searches within `filterQuery` (GET /artisans's filtered artisansView select),
+ * best match first. Each row carries its `rank` and the fields that matched
+ * as HTML-escaped text with the words wrapped in <mark>.
+ */
+const search = async ({ q, filterQuery, params, page, limit }) => {
+  const match = buildMatchQuery(q);
+  if (!match) return { rows: [], total: 0 };
+
+  const from = `FROM artisans_fts JOIN (${filterQuery}) a ON a.id = artisans_fts.rowid
+     WHERE artisans_fts MATCH ?`;
+  const { total } = await dbAsync.get(`SELECT COUNT(*) AS total ${from}`, [...params, match]);
+
+  const highlights = SEARCH_COLUMNS.map(
+    ({ column }, index) =>
+      `highlight(artisans_fts, ${index}, char(2), char(3)) AS highlight_${column}`
+  );
+  const rank = `bm25(artisans_fts, ${SEARCH_COLUMNS.map(({ weight }) => weight).join(", ")})`;
+  const pageParams = [...params, match];
+  let sql = `SELECT a.*, ${rank} AS rank, ${highlights.join(", ")} ${from} ORDER BY rank, a.id`;
+  if (limit !== null) {
+    sql += " LIMIT ? OFFSET ?";
+    pageParams.push(limit, (page - 1) * limit);
+  }
+
+  const rows = (await dbAsync.all(sql, pageParams)).map((row) => {
+    const result = {};
+    const matched = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (!key.startsWith("highlight_")) {
+        result[key] = value;
+      } else if (typeof value === "string" && value.includes(MATCH_START)) {
+        matched[key.slice("highlight_".length)] = toHighlightHtml(value);
+      }
+    }
+    // bm25 is lower for better matches; flip it so clients can read higher as better
+    return { ...result, rank: -result.rank, highlights: matched };
+  });
+  return { rows, total };
+};
+
+module.exports = {
+  SEARCH_COLUMNS,
+  buildMatchQuery,
+  search,
+};
@@ -0,0 +1,108 @@
+// artisanVerification.js - status lifecycle of artisan registrations and the reviewer trail
+const { dbAsync } = require("../routes/base_route.js");
+const { isRestrictedToOwnRecords } = require("./permissions");
+
+const STATUSES = ["draft", "submitted", "verified", "rejected", "needs_correction"];
+
+// Target status -> statuses it may be reached from
+const TRANSITIONS = {
+  submitted: ["draft", "needs_correction"],
+  verified: ["submitted"],
+  rejected: ["submitted", "needs_correction"],
+  needs_correction: ["submitted", "verified"],
+};
+
+// Decisions a reviewer can take, and the ones that must explain themselves
+const REVIEW_DECISIONS = ["verified", "rejected", "needs_correction"];
+const COMMENT_REQUIRED = ["rejected", "needs_correction"];
+
+/**
+ * Status of a newly created artisan. Reviewers' own registrations need no
+ * second pair of eyes; enumerators' go to the queue unless saved as a draft.
+ */
+const initialStatus = (user, { draft = false } = {}) => {
+  if (draft) return "draft";
+  return isRestrictedToOwnRecords(user) ? "submitted" : "verified";
+};
+
+/**
+ * An enumerator editing a verified artisan sends it back for verification
+ */
+const statusAfterEdit = (user, currentStatus) =>
+  isRestrictedToOwnRecords(user) && currentStatus === "verified" ? "submitted" : currentStatus;
+
+const getStatus = async (artisanId) => {
+  const row = await dbAsync.get(
+    "SELECT verification_status FROM artisans WHERE id = ? AND isActive = 1",
+    [artisanId]
+  );
+  return row ? row.verification_status : null;
+};
+
+/**
+ * Moves the artisan to `status`, keeping the comment on the artisan and in
+ * the review trail. Throws a 409 when the current status does not allow it.
+ * Runs inside the caller's transaction.
+ */
+const transition = async (req, artisanId, status, comment = null) => {
+  const current = await getStatus(artisanId);
+  if (current === null) {
+    throw Object.assign(new Error("Artisan not found"), { statusCode: 404 });
+  }
+  if (!TRANSITIONS[status] || !TRANSITIONS[status].includes(current)) {
+    throw Object.assign(
+      new Error(`An artisan that is ${current.replace("_", " ")} cannot be marked ${status.replace("_", " ")}`),
+      { statusCode: 409 }
+    );
+  }
+
+  await dbAsync.run(
+    `UPDATE artisans
+     SET verification_status = ?, verification_comment = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, comment, artisanId]
+  );
+  await dbAsync.run(
+    `INSERT INTO artisan_reviews (artisan_id, from_status, to_status, comment, reviewer_id)
+     VALUES (?, ?, ?, ?, ?)`,
+    [artisanId, current, status, comment, (req.user && req.user.id) || null]
+  );
+  return { from: current, to: status };
+};
+
+/**
+ * Sets the status without a transition check, e.g. after an edit.
+ * Only changes are written to the trail.
+ */
+const setStatus = async (req, artisanId, status, comment = null) => {
+  const current = await getStatus(artisanId);
+  if (current === null || current === status) return;
+  await dbAsync.run("UPDATE artisans SET verification_status = ? WHERE id = ?", [status, artisanId]);
+  await dbAsync.run(
+    `INSERT INTO artisan_reviews (artisan_id, from_status, to_status, comment, reviewer_id)
+     VALUES (?, ?, ?, ?, ?)`,
+    [artisanId, current, status, comment, (req.user && req.user.id) || null]
+  );
+};
+
+const listReviews = (artisanId) =>
+  dbAsync.all(
+    `SELECT r.*, u.username AS reviewer_username
+     FROM artisan_reviews r
+     LEFT JOIN user u ON u.id = r.reviewer_id
+     WHERE r.artisan_id = ?
+     ORDER BY r.id DESC`,
+    [artisanId]
+  );
+
+module.exports = {
+  STATUSES,
+  REVIEW_DECISIONS,
+  COMMENT_REQUIRED,
+  initialStatus,
+  statusAfterEdit,
+  getStatus,
+  transition,
+  setStatus,
+  listReviews,
+};
@@ -0,0 +1,218 @@
+// artisanVersions.js - numbered snapshots of the whole artisan aggregate for history and restore
+const { dbAsync } = require("../routes/base_route.js");
+const auditLog = require("./auditLog.js");
+const { getStorage, keyOf } = require("./storage.js");
+const { IMAGE_SETS } = require("./artisanImages.js");
+
+const CHILD_TABLES = auditLog.ENTITIES.artisans.children;
+
+// Columns a restore must never overwrite
+const PROTECTED_COLUMNS = [
+  "id",
+  "artisan_id",
+  "created_at",
+  "updated_at",
+  "revision",
+];
+
+// Artisan columns that only change through their own endpoints
+const PROTECTED_ARTISAN_COLUMNS = [
+  // Deleting, restoring from the trash and merging
+  "isActive",
+  "merged_into",
+  // Ownership and the device record it syncs with
+  "user_Id",
+  "client_uuid",
+  // Verification only moves through the review endpoints
+  "verification_status",
+  "verification_comment",
+];
+
+const parseVersion = (row) =>
+  row ? { ...row, snapshot: JSON.parse(row.snapshot) } : null;
+
+const getColumns = async (table) =>
+  (await dbAsync.all(`PRAGMA table_info(${table})`))
+    .map((column) => column.name)
+    .filter(
+      (name) =>
+        !PROTECTED_COLUMNS.includes(name) &&
+        !(table === "artisans" && PROTECTED_ARTISAN_COLUMNS.includes(name))
+    );
+
+// Keeps only keys that are still real columns, so old snapshots survive schema changes
+const pickColumns = (row, columns) => columns.filter((column) => column in row);
+
+/**
+ * Stores the current state of the artisan as its next version, unless it is
+ * unchanged since the last one. When the artisan has no history yet, `before`
+ * (the state prior to this write) is kept first as the baseline so the
+ * original answers are not lost.
+ */
+const save = async (req, artisanId, action, before = null) => {
+  const latest = await dbAsync.get(
+    "SELECT version, snapshot FROM artisan_versions WHERE artisan_id = ? ORDER BY version DESC LIMIT 1",
+    [artisanId]
+  );
+  const current = await auditLog.snapshot("artisans", artisanId);
+  if (!current || (latest && latest.snapshot === JSON.stringify(current))) {
+    return latest ? latest.version : null;
+  }
+
+  let version = latest ? latest.version : 0;
+  const insert = (snapshot, versionAction) =>
+    dbAsync.run(
+      `INSERT INTO artisan_versions (artisan_id, version, action, snapshot, created_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        artisanId,
+        ++version,
+        versionAction,
+        JSON.stringify(snapshot),
+        (req && req.user && req.user.id) || null,
+      ]
+    );
+
+  if (!latest && before) {
+    await insert(before, "baseline");
+  }
+  await insert(current, action);
+  return version;
+};
+
+const list = (artisanId) =>
+  dbAsync.all(
+    `SELECT v.id, v.artisan_id, v.version, v.action, v.created_by,
+            u.username AS created_by_username, v.created_at
+     FROM artisan_versions v
+     LEFT JOIN user u ON u.id = v.created_by
+     WHERE v.artisan_id = ?
+     ORDER BY v.version DESC`,
+    [artisanId]
+  );
+
+const get = async (artisanId, version) =>
+  parseVersion(
+    await dbAsync.get(
+      "SELECT * FROM artisan_versions WHERE artisan_id = ? AND version = ?",
+      [artisanId, version]
+    )
+  );
+
+// Rows pointing at a stored file that was deleted since (image removed, storage cleanup)
+const isFileGone = async (storedPath) => {
+  const key = keyOf(storedPath);
+  return Boolean(key) && !(await getStorage().exists(key));
+};
+
+/**
+ * Refuses a version saved before another artisan was merged into this one:
+ * the rows moved over from the merged artisan are not part of it.
+ */
+const assertRestorable = async (artisanId, version) => {
+  const merge = await dbAsync.get(
+    "SELECT MAX(version) AS version FROM artisan_versions WHERE artisan_id = ? AND action = 'merge'",
+    [artisanId]
+  );
+  if (merge.version !== null && version < merge.version) {
+    throw Object.assign(
+      new Error(`Versions saved before the merge in version ${merge.version} cannot be restored`),
+      { statusCode: 409 }
+    );
+  }
+};
+
+/**
+ * Overwrites the artisan row and brings its child rows back to `snapshot`,
+ * row by row and under their original ids: changed rows are updated, missing
+ * ones inserted and rows added since deleted. Image rows whose file is gone
+ * are left out. Runs inside the caller's transaction; returns the images left
+ * out and the paths of the image rows deleted, whose files go once it commits.
+ */
+const restore = async (artisanId, { version, snapshot }) => {
+  await assertRestorable(artisanId, version);
+
+  const artisanColumns = pickColumns(snapshot, await getColumns("artisans")).filter(
+    (column) => column !== "profile_picture"
+  );
+  // An old profile picture is only put back while its file still exists
+  if ("profile_picture" in snapshot && !(await isFileGone(snapshot.profile_picture))) {
+    artisanColumns.push("profile_picture");
+  }
+  await dbAsync.run(
+    `UPDATE artisans SET ${artisanColumns.map((column) => `${column} = ?`).join(", ")},
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...artisanColumns.map((column) => snapshot[column]), artisanId]
+  );
+
+  const missingImages = [];
+  const removedImages = [];
+  for (const table of CHILD_TABLES) {
+    const columns = await getColumns(table);
+    const isImageTable = Object.keys(IMAGE_SETS).includes(table);
+    const rows = [];
+    for (const row of snapshot[table] || []) {
+      if (isImageTable && (await isFileGone(row.image_path))) {
+        missingImages.push({ table, id: row.id, image_path: row.image_path });
+      } else {
+        rows.push(row);
+      }
+    }
+
+    const current = await dbAsync.all(
+      `SELECT id${isImageTable ? ", image_path" : ""} FROM ${table} WHERE artisan_id = ?`,
+      [artisanId]
+    );
+    // The current row each snapshot row goes back into; snapshots saved before
+    // rows carried their id still find their images by path
+    const targets = new Map();
+    for (const row of rows) {
+      const match =
+        current.find((currentRow) => currentRow.id === row.id) ||
+        (row.id === undefined && isImageTable
+          ? current.find(
+              (currentRow) =>
+                currentRow.image_path === row.image_path &&
+                ![...targets.values()].includes(currentRow.id)
+            )
+          : null);
+      if (match) targets.set(row, match.id);
+    }
+
+    const targetIds = new Set(targets.values());
+    const restoredPaths = new Set(rows.map((row) => row.image_path));
+    for (const row of current.filter((currentRow) => !targetIds.has(currentRow.id))) {
+      await dbAsync.run(`DELETE FROM ${table} WHERE id = ?`, [row.id]);
+      if (isImageTable && !restoredPaths.has(row.image_path)) removedImages.push(row.image_path);
+    }
+
+    for (const row of rows) {
+      const rowColumns = pickColumns(row, columns);
+      if (targets.has(row)) {
+        await dbAsync.run(
+          `UPDATE ${table} SET ${rowColumns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+          [...rowColumns.map((column) => row[column]), targets.get(row)]
+        );
+        continue;
+      }
+      // Rows without an id, or whose id another artisan's row has taken since, get a new one
+      const taken =
+        row.id === undefined || (await dbAsync.get(`SELECT id FROM ${table} WHERE id = ?`, [row.id]));
+      const insertColumns = taken ? rowColumns : ["id", ...rowColumns];
+      await dbAsync.run(
+        `INSERT INTO ${table} (artisan_id${insertColumns.map((column) => `, ${column}`).join("")})
+         VALUES (?${", ?".repeat(insertColumns.length)})`,
+        [artisanId, ...insertColumns.map((column) => row[column])]
+      );
+    }
+  }
+  return { missingImages, removedImages };
+};
+
+module.exports = {
+  save,
+  list,
+  get,
+  restore,
+};
@@ -0,0 +1,120 @@
+// auditLog.js - who changed what: before/after field diffs for every write
+const { dbAsync } = require("../routes/base_route.js");
+
+/**
+ * Audited entities keyed by the name used in audit_log.entity.
+ * `children` are related rows folded into the parent snapshot, so replacing
+ * an artisan's trainings or images shows up as a field change on the artisan.
+ */
+const ENTITIES = Object.freeze({
+  artisans: {
+    table: "artisans",
+    children: ["trainings", "loans", "machines", "product_images", "shop_images"],
+  },
+  trainings: { table: "trainings" },
+  loans: { table: "loans" },
+  machines: { table: "machines" },
+  crafts: { table: "crafts" },
+  categories: { table: "categories" },
+  techniques: { table: "techniques" },
+  geo_level: { table: "geo_level" },
+  education: { table: "education" },
+  users: { table: "user" },
+});
+
+// Bookkeeping columns that change on every write and would only add noise
+const IGNORED_FIELDS = ["created_at", "updated_at", "revision"];
+// Child rows keep their id so a version restore can put each row back in place
+const CHILD_IGNORED_FIELDS = ["artisan_id", ...IGNORED_FIELDS];
+
+// Secrets are never copied into the log; only the fact that they changed
+const REDACTED_FIELDS = ["password", "hashynoty"];
+const REDACTED = "[redacted]";
+
+const getEntity = (entity) => {
+  const definition = ENTITIES[entity];
+  if (!definition) throw new Error(`Unknown audit entity: ${entity}`);
+  return definition;
+};
+
+const stripFields = (row, fields) =>
+  Object.fromEntries(Object.entries(row).filter(([key]) => !fields.includes(key)));
+
+/**
+ * Current state of an entity row (plus its children), or null when missing
+ */
+const snapshot = async (entity, id) => {
+  const { table, children = [] } = getEntity(entity);
+  const row = await dbAsync.get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (!row) return null;
+
+  const state = stripFields(row, IGNORED_FIELDS);
+  for (const child of children) {
+    const rows = await dbAsync.all(
+      `SELECT * FROM ${child} WHERE artisan_id = ? ORDER BY id`,
+      [id]
+    );
+    state[child] = rows.map((childRow) => stripFields(childRow, CHILD_IGNORED_FIELDS));
+  }
+  return state;
+};
+
+// Child rows compared by content; rows replaced with the same values are no change
+const withoutRowIds = (value) =>
+  Array.isArray(value)
+    ? value.map((row) => (row && typeof row === "object" ? stripFields(row, ["id"]) : row))
+    : value;
+
+/**
+ * Field level diff: { field: { from, to } } for every changed field
+ */
+const diffRecords = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const from = withoutRowIds(before ? before[field] ?? null : null);
+    const to = withoutRowIds(after ? after[field] ?? null : null);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  }
+  return changes;
+};
+
+/**
+ * Records a write made by `req.user` (or `actor` on public routes). Pass the
+ * snapshot taken before the write as `before`; the after state is read here.
+ * Updates that changed nothing are not recorded.
+ */
+const record = async (req, { entity, id, action, before = null, actor }) => {
+  const after = await snapshot(entity, id);
+  const changes = diffRecords(before, after);
+  if (action === "update" && Object.keys(changes).length === 0) return null;
+
+  const user = actor || (req && req.user) || {};
+  const { lastID } = await dbAsync.run(
+    `INSERT INTO audit_log (entity, entity_id, action, actor_id, actor_username, ip, changes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entity,
+      id,
+      action,
+      user.id || null,
+      user.username || null,
+      (req && req.ip) || null,
+      JSON.stringify(changes),
+    ]
+  );
+  return lastID;
+};
+
+module.exports = {
+  ENTITIES,
+  snapshot,
+  withoutRowIds,
+  diffRecords,
+  record,
+};
@@ -0,0 +1,124 @@
+// auth.js - token helpers and the authentication middleware injected into route modules
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const {
+  getAllowedRoles,
+  hasRole,
+  PASSWORD_CHANGE_ROUTES,
+} = require("./permissions");
+const { geoScope } = require("./geoScope");
+
+const createAuth = ({ secret, accessTokenTtl, refreshTokenTtlDays, logger }) => {
+  /**
+   * Signs a short-lived access token carrying the claims the routes rely on
+   */
+  const signAccessToken = (user) =>
+    jwt.sign(
+      {
+        username: user.username,
+        roles: user.roles,
+        geoLevel_Code: user.geoLevel_Code,
+        isMobileUser: user.isMobileUser,
+        mustChangePassword: Number(user.must_change_password) === 1,
+      },
+      secret,
+      { subject: String(user.id), expiresIn: accessTokenTtl }
+    );
+
+  /**
+   * Refresh tokens are opaque random strings; only their hash is persisted
+   */
+  const createRefreshToken = () => {
+    const token = crypto.randomBytes(48).toString("hex");
+    const expiresAt = new Date(
+      Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+    return { token, tokenHash: hashToken(token), expiresAt };
+  };
+
+  const hashToken = (token) =>
+    crypto.createHash("sha256").update(String(token)).digest("hex");
+
+  /**
+   * Rejects requests without a valid `Authorization: Bearer <token>` header
+   * and exposes the token claims as `req.user`
+   */
+  const authenticate = (req, res, next) => {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    try {
+      const claims = jwt.verify(token, secret);
+      req.user = {
+        id: parseInt(claims.sub, 10),
+        username: claims.username,
+        roles: claims.roles,
+        geoLevel_Code: claims.geoLevel_Code,
+        isMobileUser: claims.isMobileUser,
+        mustChangePassword: Boolean(claims.mustChangePassword),
+      };
+      next();
+    } catch (error) {
+      logger.warn({ error: error.message, url: req.url }, "Rejected access token");
+      res.status(401).json({
+        error:
+          error.name === "TokenExpiredError"
+            ? "Access token expired"
+            : "Invalid access token",
+      });
+    }
+  };
+
+  /**
+   * Checks `req.user` against the policy table for the given registry module.
+   * Must run as a route-level middleware so `req.route` is populated.
+   */
+  const authorize = (moduleName) => (req, res, next) => {
+    const routeKey = `${req.method} ${req.route.path}`;
+    if (req.user.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(routeKey)) {
+      return res.status(403).json({
+        error: "Password change required",
+        mustChangePassword: true,
+      });
+    }
+
+    const allowedRoles = getAllowedRoles(moduleName, req.method, req.route.path);
+
+    if (!allowedRoles) {
+      logger.warn(
+        { module: moduleName, method: req.method, path: req.route.path },
+        "No policy defined for route, denying access"
+      );
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    if (!hasRole(req.user, allowedRoles)) {
+      logger.warn(
+        { userId: req.user.id, roles: req.user.roles, path: req.route.path },
+        "Insufficient role for route"
+      );
+      return res.status(403).json({ error: "Forbidden" });
+    }
+
+    next();
+  };
+
+  const base = { signAccessToken, createRefreshToken, hashToken, authenticate };
+
+  /**
+   * Auth helpers for a route registry entry: `authenticate` also enforces
+   * that module's route policy and activates the caller's geo scope
+   */
+  const forModule = (moduleName) => ({
+    ...base,
+    authenticate: [authenticate, authorize(moduleName), geoScope],
+  });
+
+  return { ...base, authorize, forModule };
+};
+
+module.exports = createAuth;
@@ -0,0 +1,64 @@
+// geoScope.js - server-side row scoping of artisansView by the caller's geo_level prefix
+const { AsyncLocalStorage } = require("async_hooks");
+const { hasRole, ROLES } = require("./permissions");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * user.geoLevel_Code is stored as an INTEGER, so "035" comes back as 35.
+ * Restores the leading zeros of the 3/6/9 digit division/district/tehsil code.
+ */
+const normalizeGeoCode = (code) => {
+  const digits = String(code ?? "").trim();
+  if (!/^\d+$/.test(digits) || Number(digits) === 0) return null;
+  const length = Math.ceil(digits.length / 3) * 3;
+  return digits.padStart(length, "0");
+};
+
+/**
+ * The geo prefix a user is restricted to, or null for unrestricted users.
+ * Admins always see the whole province.
+ */
+const getUserGeoScope = (user) => {
+  if (!user || hasRole(user, [ROLES.ADMIN])) return null;
+  return normalizeGeoCode(user.geoLevel_Code);
+};
+
+/**
+ * Middleware: runs the rest of the request with the user's geo scope active
+ */
+const geoScope = (req, res, next) => {
+  storage.run(getUserGeoScope(req.user), next);
+};
+
+const getGeoScope = () => storage.getStore() || null;
+
+// Matches `FROM artisansView [alias]` / `JOIN artisansView [alias]`
+const VIEW_PATTERN =
+  /\b(FROM|JOIN)\s+artisansView\b(\s+(?:AS\s+)?(?!(?:WHERE|LEFT|INNER|JOIN|ON|GROUP|ORDER|LIMIT|UNION)\b)[A-Za-z_]\w*)?/gi;
+
+/**
+ * Rewrites artisansView references into a subquery limited to tehsils under
+ * the active geo prefix. The prefix is digits only, so it is inlined rather
+ * than bound to keep the caller's parameter positions intact.
+ */
+const scopeArtisansView = (sql) => {
+  const prefix = getGeoScope();
+  if (!prefix || typeof sql !== "string") return sql;
+
+  return sql.replace(
+    VIEW_PATTERN,
+    (_, keyword, alias) =>
+      `${keyword} (SELECT * FROM artisansView WHERE tehsil_id IN ` +
+      `(SELECT id FROM geo_level WHERE code LIKE '${prefix}%'))` +
+      (alias || " artisansView")
+  );
+};
+
+module.exports = {
+  normalizeGeoCode,
+  getUserGeoScope,
+  geoScope,
+  getGeoScope,
+  scopeArtisansView,
+};
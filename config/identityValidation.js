@@ -0,0 +1,73 @@
+// identityValidation.js - CNIC and mobile number checks shared by every artisan write path
+const { body } = require("express-validator");
+
+const CNIC_PATTERN = /^\d{5}-\d{7}-\d$/;
+const MOBILE_PATTERN = /^03\d{2}-\d{7}$/;
+
+/**
+ * Adds the dashes to a bare 13 digit CNIC; anything else is only trimmed
+ * and left for the format check to reject.
+ */
+const normalizeCnic = (value) => {
+  const text = String(value ?? "").trim();
+  const digits = text.replace(/\s/g, "");
+  return /^\d{13}$/.test(digits)
+    ? `${digits.slice(0, 5)}-${digits.slice(5, 12)}-${digits.slice(12)}`
+    : text;
+};
+
+/**
+ * Rewrites a Pakistani mobile number to the stored 03XX-XXXXXXX form.
+ * Accepts 03001234567, 0300-1234567, +92 300 1234567, 0092300... and 92300...
+ */
+const normalizeMobile = (value) => {
+  const text = String(value ?? "").trim();
+  let digits = text.replace(/[\s\-().]/g, "");
+  if (digits.startsWith("+92")) digits = `0${digits.slice(3)}`;
+  else if (digits.startsWith("0092")) digits = `0${digits.slice(4)}`;
+  else if (/^92\d{10}$/.test(digits)) digits = `0${digits.slice(2)}`;
+  else if (/^3\d{9}$/.test(digits)) digits = `0${digits}`;
+
+  return /^03\d{9}$/.test(digits) ? `${digits.slice(0, 4)}-${digits.slice(4)}` : text;
+};
+
+/**
+ * NADRA issues odd final digits to men and even ones to women. Returns the
+ * gender the CNIC implies, or null when it can't tell.
+ */
+const cnicGender = (cnic) => {
+  const match = CNIC_PATTERN.test(cnic) && cnic.slice(-1);
+  if (!match) return null;
+  return Number(match) % 2 === 1 ? "Male" : "Female";
+};
+
+/**
+ * express-validator chains for artisan.cnic and artisan.contact_no. The
+ * sanitizers store the canonical form back on the request body.
+ */
+const artisanIdentityRules = () => [
+  body("artisan.cnic")
+    .customSanitizer(normalizeCnic)
+    .matches(CNIC_PATTERN)
+    .withMessage("CNIC must be in the format #####-#######-#")
+    .bail()
+    .custom((cnic, { req }) => {
+      const gender = req.body.artisan && req.body.artisan.gender;
+      // Transgender CNICs follow no parity rule
+      return !["Male", "Female"].includes(gender) || cnicGender(cnic) === gender;
+    })
+    .withMessage("CNIC does not match the gender: the last digit is odd for men and even for women"),
+  body("artisan.contact_no")
+    .customSanitizer(normalizeMobile)
+    .matches(MOBILE_PATTERN)
+    .withMessage("Invalid phone number! Must be a Pakistani mobile number such as 0300-1234567"),
+];
+
+module.exports = {
+  CNIC_PATTERN,
+  MOBILE_PATTERN,
+  normalizeCnic,
+  normalizeMobile,
+  cnicGender,
+  artisanIdentityRules,
+};
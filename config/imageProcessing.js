@@ -0,0 +1,211 @@
+// imageProcessing.js - normalises uploaded photos and generates their smaller variants
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { dbAsync } = require("../routes/base_route.js");
+const { getStorage, keyOf } = require("./storage.js");
+
+// Longest side of the stored original; phone photos are usually 4000px+
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048;
+
+// Variant name -> longest side in pixels
+const VARIANTS = Object.freeze({
+  thumbnail: 200,
+  medium: 800,
+});
+
+// Formats stored as they came; anything else (HEIC, TIFF, GIF, ...) is re-encoded as JPEG
+const KEPT_FORMATS = { jpeg: ".jpg", png: ".png", webp: ".webp" };
+const JPEG_QUALITY = 82;
+
+const encode = (pipeline, format) =>
+  format === "jpeg" ? pipeline.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }) : pipeline.toFormat(format);
+
+// sharp drops EXIF, GPS and other metadata unless asked to keep it
+const resize = (input, size, format) =>
+  encode(
+    sharp(input)
+      .rotate() // applies the EXIF orientation before the metadata goes
+      .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true }),
+    format
+  ).toBuffer({ resolveWithObject: true });
+
+const variantPath = (filePath, variant) => {
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}-${variant}${ext}`);
+};
+
+/**
+ * Rotates, strips and shrinks the uploaded file in place (the extension
+ * becomes .jpg when it had to be re-encoded) and writes its variants next to
+ * it. Returns { path, width, height, size, mimetype, variants: { name: path } }.
+ */
+const processImage = async (filePath) => {
+  const input = await fs.promises.readFile(filePath);
+  const { format: sourceFormat } = await sharp(input).metadata();
+  const format = KEPT_FORMATS[sourceFormat] ? sourceFormat : "jpeg";
+
+  const { dir, name } = path.parse(filePath);
+  const outputPath = path.join(dir, `${name}${KEPT_FORMATS[format]}`);
+
+  const { data, info } = await resize(input, MAX_DIMENSION, format);
+  await fs.promises.writeFile(outputPath, data);
+  if (outputPath !== filePath) {
+    await fs.promises.unlink(filePath);
+  }
+
+  const variants = {};
+  for (const [variant, size] of Object.entries(VARIANTS)) {
+    const target = variantPath(outputPath, variant);
+    await fs.promises.writeFile(target, (await resize(data, size, format)).data);
+    variants[variant] = target;
+  }
+
+  return {
+    path: outputPath,
+    width: info.width,
+    height: info.height,
+    size: info.size,
+    mimetype: `image/${format}`,
+    variants,
+  };
+};
+
+/**
+ * Puts a processed image and its variants into storage under `folder` and
+ * records the variants. Resolves to { key, variants: { name: key } }.
+ */
+const storeImage = async (processed, folder) => {
+  const storage = getStorage();
+  const keyFor = (filePath) => `${folder}${path.basename(filePath)}`;
+
+  const key = keyFor(processed.path);
+  await storage.put(key, processed.path, processed.mimetype);
+  const variants = {};
+  for (const [variant, filePath] of Object.entries(processed.variants)) {
+    variants[variant] = keyFor(filePath);
+    await storage.put(variants[variant], filePath, processed.mimetype);
+  }
+
+  await dbAsync.run(
+    `INSERT OR REPLACE INTO image_variants (image_path, thumbnail_path, medium_path, width, height)
+     VALUES (?, ?, ?, ?, ?)`,
+    [key, variants.thumbnail, variants.medium, processed.width, processed.height]
+  );
+  return { key, variants };
+};
+
+// Storage folder per upload field; profile pictures sit at the top level
+const UPLOAD_FOLDERS = Object.freeze({
+  product_images: "product_images/",
+  product_image: "product_images/",
+  shop_images: "shop_images/",
+  shop_image: "shop_images/",
+});
+
+// Every file multer stored for the request, from upload.single() or upload.fields()
+const uploadedFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...Object.values(req.files || {}).flat(),
+];
+
+const removeQuietly = (filePath) => fs.promises.unlink(filePath).catch(() => {});
+
+/**
+ * Middleware for after `upload`: processes every uploaded image, puts it into
+ * storage (config/storage.js) and sets `key` on the multer file object, which
+ * is what handlers save. Files that are not readable images are rejected with
+ * a 400; nothing from the request is kept then.
+ */
+const processUploadedImages = async (req, res, next) => {
+  const files = uploadedFiles(req);
+  const stored = [];
+  const discard = () =>
+    Promise.all([
+      ...files.map((uploaded) => removeQuietly(uploaded.path)),
+      ...stored.map((key) => removeImage(key).catch(() => {})),
+    ]);
+
+  for (const file of files) {
+    let processed;
+    try {
+      processed = await processImage(file.path);
+    } catch (err) {
+      await discard();
+      return res.status(400).json({
+        status: "error",
+        statusCode: 400,
+        message: `${file.originalname} could not be read as an image`,
+      });
+    }
+
+    try {
+      const { key, variants } = await storeImage(processed, UPLOAD_FOLDERS[file.fieldname] || "");
+      stored.push(key);
+      Object.assign(file, {
+        key,
+        filename: path.basename(key),
+        size: processed.size,
+        mimetype: processed.mimetype,
+        variants,
+      });
+    } catch (err) {
+      await discard();
+      return next(err);
+    } finally {
+      // Only the stored copies are kept
+      await Promise.all([processed.path, ...Object.values(processed.variants)].map(removeQuietly));
+    }
+  }
+  next();
+};
+
+/**
+ * Removes what processUploadedImages stored for a request that a handler
+ * turns down afterwards; nothing would refer to those files
+ */
+const discardUploads = (req) =>
+  Promise.all(
+    uploadedFiles(req)
+      .filter((file) => file.key)
+      .map((file) => removeImage(file.key).catch(() => {}))
+  );
+
+/**
+ * Variant keys of stored images: { key: { thumbnail, medium } }.
+ * Images uploaded before processing existed have none.
+ */
+const getVariants = async (keys) => {
+  const present = keys.filter(Boolean);
+  if (present.length === 0) return {};
+  const rows = await dbAsync.all(
+    `SELECT image_path, thumbnail_path, medium_path FROM image_variants
+     WHERE image_path IN (${present.map(() => "?").join(", ")})`,
+    present
+  );
+  return Object.fromEntries(
+    rows.map((row) => [row.image_path, { thumbnail: row.thumbnail_path, medium: row.medium_path }])
+  );
+};
+
+/**
+ * Deletes a stored image (key or legacy path) with its variants from storage
+ */
+const removeImage = async (storedPath) => {
+  const key = keyOf(storedPath);
+  if (!key) return;
+  const variants = (await getVariants([key]))[key] || {};
+  const storage = getStorage();
+  await Promise.all([key, ...Object.values(variants)].map((file) => storage.remove(file)));
+  await dbAsync.run("DELETE FROM image_variants WHERE image_path = ?", [key]);
+};
+
+module.exports = {
+  MAX_DIMENSION,
+  VARIANTS,
+  processImage,
+  processUploadedImages,
+  discardUploads,
+  getVariants,
+  removeImage,
+};
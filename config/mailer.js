@@ -0,0 +1,40 @@
+// mailer.js - SMTP transport configured from the environment
+const nodemailer = require("nodemailer");
+
+const SMTP = Object.freeze({
+  HOST: process.env.SMTP_HOST,
+  PORT: parseInt(process.env.SMTP_PORT, 10) || 465,
+  USER: process.env.SMTP_USER,
+  PASS: process.env.SMTP_PASS,
+  FROM: process.env.SMTP_FROM || process.env.SMTP_USER,
+});
+
+let transporter = null;
+
+/**
+ * Returns the shared transport, or null when SMTP is not configured
+ */
+const getTransporter = () => {
+  if (!SMTP.HOST) return null;
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: SMTP.HOST,
+      port: SMTP.PORT,
+      secure: SMTP.PORT === 465,
+      auth: SMTP.USER ? { user: SMTP.USER, pass: SMTP.PASS } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const isMailConfigured = () => Boolean(SMTP.HOST);
+
+const sendMail = (message) => {
+  const transport = getTransporter();
+  if (!transport) {
+    return Promise.reject(new Error("SMTP is not configured"));
+  }
+  return transport.sendMail({ from: SMTP.FROM, ...message });
+};
+
+module.exports = { isMailConfigured, sendMail };
@@ -0,0 +1,163 @@
+// permissions.js - role model and the route policy table used by auth.forModule()
+
+const ROLES = Object.freeze({
+  ADMIN: "admin",
+  SUPERVISOR: "supervisor",
+  ENUMERATOR: "enumerator",
+  VIEWER: "viewer",
+});
+
+const ALL_ROLES = Object.values(ROLES);
+const EDITORS = [ROLES.ADMIN, ROLES.SUPERVISOR, ROLES.ENUMERATOR];
+const MANAGERS = [ROLES.ADMIN, ROLES.SUPERVISOR];
+const ADMINS = [ROLES.ADMIN];
+
+// Roles that may only create and edit artisans they registered themselves
+const OWN_RECORDS_ONLY = [ROLES.ENUMERATOR];
+
+const lookupPolicy = (path) => ({
+  [`GET /${path}`]: ALL_ROLES,
+  [`POST /${path}`]: ADMINS,
+  [`PUT /${path}/:id`]: ADMINS,
+  [`DELETE /${path}/:id`]: ADMINS,
+});
+
+const artisanPolicy = {
+  "GET /artisans": ALL_ROLES,
+  "GET /artisans/:id": ALL_ROLES,
+  "GET /artisans/export": ALL_ROLES,
+  "GET /artisans/search": ALL_ROLES,
+  "GET /artisans/geo": ALL_ROLES,
+  "GET /artisans/duplicates": MANAGERS,
+  "PATCH /artisans/duplicates/:reviewId": MANAGERS,
+  "POST /artisans/merge": MANAGERS,
+  "POST /artisans": EDITORS,
+  "POST /artisans/import": EDITORS,
+  "POST /sync/artisans": EDITORS,
+  "POST /sync/artisans/:clientUuid/images": EDITORS,
+  "POST /save-artisan": EDITORS,
+  "POST /artisanstatic": EDITORS,
+  "PUT /artisans/:id": EDITORS,
+  "PUT /artisans/product-image": EDITORS,
+  "PUT /artisans/shop-image": EDITORS,
+  "DELETE /artisans/:id": MANAGERS,
+  "GET /artisans/:id/versions": ALL_ROLES,
+  "GET /artisans/:id/versions/diff": ALL_ROLES,
+  "GET /artisans/:id/versions/:version": ALL_ROLES,
+  "POST /artisans/:id/versions/:version/restore": EDITORS,
+  "GET /artisans/:id/duplicates": ALL_ROLES,
+  "POST /artisans/:id/submit": EDITORS,
+  "POST /artisans/:id/review": MANAGERS,
+  "GET /artisans/:id/reviews": ALL_ROLES,
+  "GET /artisans/:id/trainings": ALL_ROLES,
+  "POST /artisans/:id/trainings": EDITORS,
+  "PUT /artisans/:id/trainings/:trainingId": EDITORS,
+  "DELETE /artisans/:id/trainings/:trainingId": EDITORS,
+  "GET /artisans/:id/loans": ALL_ROLES,
+  "POST /artisans/:id/loans": EDITORS,
+  "PUT /artisans/:id/loans/:loanId": EDITORS,
+  "DELETE /artisans/:id/loans/:loanId": EDITORS,
+  "GET /artisans/:id/machines": ALL_ROLES,
+  "POST /artisans/:id/machines": EDITORS,
+  "PUT /artisans/:id/machines/:machineId": EDITORS,
+  "DELETE /artisans/:id/machines/:machineId": EDITORS,
+  "GET /artisans/:id/product-images": ALL_ROLES,
+  "POST /artisans/:id/product-images": EDITORS,
+  "PUT /artisans/:id/product-images/order": EDITORS,
+  "PUT /artisans/:id/product-images/:imageId": EDITORS,
+  "DELETE /artisans/:id/product-images/:imageId": EDITORS,
+  "GET /artisans/:id/shop-images": ALL_ROLES,
+  "POST /artisans/:id/shop-images": EDITORS,
+  "PUT /artisans/:id/shop-images/order": EDITORS,
+  "PUT /artisans/:id/shop-images/:imageId": EDITORS,
+  "DELETE /artisans/:id/shop-images/:imageId": EDITORS,
+};
+
+/**
+ * Route policies keyed by the route registry name in app.js, then by
+ * "METHOD /router/path". "METHOD *" applies to every path of that method.
+ * Routes missing from the table are denied.
+ */
+const policies = {
+  users: {
+    "GET /users": MANAGERS,
+    "POST /user/change-password": ALL_ROLES,
+    "POST /user/:id/reset-password": ADMINS,
+    "POST /user/:id/unlock": ADMINS,
+    "GET /user/login-attempts": MANAGERS,
+    "POST /user/register": ADMINS,
+    "PUT /user/:id": ADMINS,
+    "DELETE /user/:id": ADMINS,
+  },
+  crafts: lookupPolicy("crafts"),
+  categories: lookupPolicy("categories"),
+  techniques: lookupPolicy("techniques"),
+  geo_level: lookupPolicy("geo_level"),
+  education: lookupPolicy("education"),
+  artisans: artisanPolicy,
+  artisanstatic: artisanPolicy,
+  charts: {
+    "GET *": ALL_ROLES,
+  },
+  sync: {
+    "GET /sync/lookups": ALL_ROLES,
+  },
+  audit: {
+    "GET /audit": MANAGERS,
+  },
+  trash: {
+    "GET /trash": MANAGERS,
+    // Per-entity restore roles are checked by the handler (config/trash.js)
+    "POST /:entity/:id/restore": MANAGERS,
+    "DELETE /trash/:entity/:id": ADMINS,
+  },
+  storage: {
+    "GET /admin/storage/report": ADMINS,
+    "POST /admin/storage/cleanup": ADMINS,
+  },
+  migration: {
+    "GET /update-links": ADMINS,
+  },
+};
+
+// Routes still reachable while a user's password must be changed
+const PASSWORD_CHANGE_ROUTES = ["POST /user/change-password"];
+
+/**
+ * Resolves the effective roles of a user from the comma separated `roles`
+ * column. Users without a role default to enumerator (mobile) or viewer.
+ */
+const resolveRoles = (user) => {
+  const roles = String(user.roles || "")
+    .split(",")
+    .map((role) => role.trim().toLowerCase())
+    .filter((role) => ALL_ROLES.includes(role));
+
+  if (roles.length > 0) return roles;
+  return [Number(user.isMobileUser) === 1 ? ROLES.ENUMERATOR : ROLES.VIEWER];
+};
+
+const hasRole = (user, allowedRoles) =>
+  resolveRoles(user).some((role) => allowedRoles.includes(role));
+
+/**
+ * True when the user may only touch artisans they registered
+ */
+const isRestrictedToOwnRecords = (user) =>
+  !hasRole(user, MANAGERS) && hasRole(user, OWN_RECORDS_ONLY);
+
+const getAllowedRoles = (moduleName, method, routePath) => {
+  const policy = policies[moduleName] || {};
+  return policy[`${method} ${routePath}`] || policy[`${method} *`] || null;
+};
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  PASSWORD_CHANGE_ROUTES,
+  policies,
+  resolveRoles,
+  hasRole,
+  isRestrictedToOwnRecords,
+  getAllowedRoles,
+};
@@ -0,0 +1,37 @@
+// publicUrl.js - the base URL clients reach this server at, for links to uploaded files
+const { AsyncLocalStorage } = require("async_hooks");
+
+// e.g. https://artisan-psic.com; when unset, links follow the host each request came in on
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").trim().replace(/\/+$/, "");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Middleware: remembers the origin the request was made to, for links built
+ * while handling it (only used when PUBLIC_BASE_URL is not set)
+ */
+const requestOrigin = (req, res, next) => {
+  storage.run(`${req.protocol}://${req.get("host")}`, next);
+};
+
+/**
+ * PUBLIC_BASE_URL, else the current request's origin, else "" (links relative
+ * to the server root)
+ */
+const getPublicBaseUrl = () => PUBLIC_BASE_URL || storage.getStore() || "";
+
+// http(s) and protocol-relative URLs point somewhere specific already
+const isAbsoluteUrl = (value) => /^(https?:)?\/\//i.test(String(value || ""));
+
+/**
+ * Link to a path on this server, e.g. publicUrl("/uploads/x.jpg")
+ */
+const publicUrl = (pathname) => `${getPublicBaseUrl()}/${String(pathname).replace(/^\/+/, "")}`;
+
+module.exports = {
+  PUBLIC_BASE_URL,
+  requestOrigin,
+  getPublicBaseUrl,
+  isAbsoluteUrl,
+  publicUrl,
+};
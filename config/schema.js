@@ -0,0 +1,238 @@
+/**
+ * schema.js
+ *
+ * Ordered list of schema steps applied by db.connect() on startup.
+ * Plain strings are executed as-is and must be idempotent (IF NOT EXISTS);
+ * `{ table, column, definition }` entries add a column when it is missing.
+ */
+// Lookup tables mobile clients pull incrementally (GET /sync/lookups)
+const SYNCED_LOOKUPS = ["crafts", "categories", "techniques", "geo_level", "education"];
+
+// Rows that belong to an artisan and count towards its revision
+const ARTISAN_CHILD_TABLES = ["trainings", "loans", "machines", "product_images", "shop_images"];
+
+// Artisan columns in the full-text index (config/artisanSearch.js ranks them in this order)
+const ARTISAN_SEARCH_COLUMNS = [
+  "name",
+  "father_name",
+  "cnic",
+  "contact_no",
+  "address",
+  "uc",
+  "major_product",
+  "raw_material",
+  "comments",
+];
+
+module.exports = [
+  `CREATE TABLE IF NOT EXISTS user_tokens (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id     INTEGER  NOT NULL,
+    token_hash  TEXT     NOT NULL UNIQUE,
+    expires_at  DATETIME NOT NULL,
+    revoked_at  DATETIME,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES user (id)
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_user_tokens_user_id ON user_tokens (user_id)",
+
+  // Password lifecycle
+  { table: "user", column: "email", definition: "TEXT" },
+  { table: "user", column: "must_change_password", definition: "INTEGER DEFAULT (0)" },
+  { table: "user", column: "password_changed_at", definition: "DATETIME" },
+  `CREATE TABLE IF NOT EXISTS password_resets (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    user_id     INTEGER  NOT NULL,
+    token_hash  TEXT     NOT NULL UNIQUE,
+    expires_at  DATETIME NOT NULL,
+    used_at     DATETIME,
+    created_by  INTEGER,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES user (id)
+  )`,
+  // Plaintext passwords were kept in hashynoty; wipe them and force those users to rotate
+  "UPDATE user SET hashynoty = NULL, must_change_password = 1 WHERE hashynoty IS NOT NULL",
+
+  // Login brute-force protection
+  { table: "user", column: "failed_login_count", definition: "INTEGER DEFAULT (0)" },
+  { table: "user", column: "locked_until", definition: "DATETIME" },
+  { table: "user", column: "last_login_at", definition: "DATETIME" },
+  `CREATE TABLE IF NOT EXISTS login_attempts (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    username    TEXT,
+    user_id     INTEGER,
+    ip          TEXT,
+    user_agent  TEXT,
+    success     INTEGER  NOT NULL,
+    reason      TEXT,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username, created_at)",
+  "CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, created_at)",
+
+  // Audit trail (config/auditLog.js)
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id              INTEGER  PRIMARY KEY AUTOINCREMENT,
+    entity          TEXT     NOT NULL,
+    entity_id       INTEGER  NOT NULL,
+    action          TEXT     NOT NULL,
+    actor_id        INTEGER,
+    actor_username  TEXT,
+    ip              TEXT,
+    changes         TEXT,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity, entity_id)",
+  "CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id)",
+
+  // Artisan version history (config/artisanVersions.js)
+  `CREATE TABLE IF NOT EXISTS artisan_versions (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    artisan_id  INTEGER  NOT NULL,
+    version     INTEGER  NOT NULL,
+    action      TEXT     NOT NULL,
+    snapshot    TEXT     NOT NULL,
+    created_by  INTEGER,
+    created_at  DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (artisan_id, version),
+    FOREIGN KEY (artisan_id) REFERENCES artisans (id)
+  )`,
+
+  // Offline sync: client generated ids for artisans and change tracking on lookups
+  { table: "artisans", column: "client_uuid", definition: "TEXT" },
+  "CREATE UNIQUE INDEX IF NOT EXISTS idx_artisans_client_uuid ON artisans (client_uuid)",
+  // Device file names of synced photos, so a retried upload is not recorded twice
+  ...["product_images", "shop_images"].map((table) => ({ table, column: "client_filename", definition: "TEXT" })),
+  `CREATE TABLE IF NOT EXISTS sync_deletions (
+    id          INTEGER  PRIMARY KEY AUTOINCREMENT,
+    entity      TEXT     NOT NULL,
+    entity_id   INTEGER  NOT NULL,
+    deleted_at  DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_sync_deletions_deleted_at ON sync_deletions (deleted_at)",
+  ...SYNCED_LOOKUPS.flatMap((table) => [
+    { table, column: "updated_at", definition: "DATETIME" },
+    `UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE updated_at IS NULL`,
+    `CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_insert AFTER INSERT ON ${table}
+     BEGIN
+       UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+     END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_update AFTER UPDATE ON ${table}
+     WHEN NEW.updated_at IS OLD.updated_at
+     BEGIN
+       UPDATE ${table} SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+     END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_${table}_sync_delete AFTER DELETE ON ${table}
+     BEGIN
+       INSERT INTO sync_deletions (entity, entity_id) VALUES ('${table}', OLD.id);
+     END`,
+  ]),
+
+  // Optimistic concurrency: every write to an artisan or its child rows bumps its revision (ETag)
+  { table: "artisans", column: "revision", definition: "INTEGER NOT NULL DEFAULT (1)" },
+  `CREATE TRIGGER IF NOT EXISTS trg_artisans_revision AFTER UPDATE ON artisans
+   WHEN NEW.revision IS OLD.revision
+   BEGIN
+     UPDATE artisans SET revision = OLD.revision + 1 WHERE id = NEW.id;
+   END`,
+  ...ARTISAN_CHILD_TABLES.flatMap((table) => [
+    `CREATE TRIGGER IF NOT EXISTS trg_${table}_revision_insert AFTER INSERT ON ${table}
+     BEGIN
+       UPDATE artisans SET revision = revision + 1 WHERE id = NEW.artisan_id;
+     END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_${table}_revision_update AFTER UPDATE ON ${table}
+     BEGIN
+       UPDATE artisans SET revision = revision + 1 WHERE id IN (OLD.artisan_id, NEW.artisan_id);
+     END`,
+    `CREATE TRIGGER IF NOT EXISTS trg_${table}_revision_delete AFTER DELETE ON ${table}
+     BEGIN
+       UPDATE artisans SET revision = revision + 1 WHERE id = OLD.artisan_id;
+     END`,
+  ]),
+
+  // Likely duplicate registrations awaiting review, stored with artisan_id < duplicate_id
+  `CREATE TABLE IF NOT EXISTS artisan_duplicates (
+    id            INTEGER  PRIMARY KEY AUTOINCREMENT,
+    artisan_id    INTEGER  NOT NULL,
+    duplicate_id  INTEGER  NOT NULL,
+    score         INTEGER  NOT NULL,
+    reasons       TEXT,
+    status        TEXT     NOT NULL DEFAULT 'pending',
+    reviewed_by   INTEGER,
+    reviewed_at   DATETIME,
+    created_at    DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (artisan_id, duplicate_id),
+    FOREIGN KEY (artisan_id) REFERENCES artisans (id),
+    FOREIGN KEY (duplicate_id) REFERENCES artisans (id)
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_artisan_duplicates_status ON artisan_duplicates (status, score)",
+  "CREATE INDEX IF NOT EXISTS idx_artisan_duplicates_duplicate_id ON artisan_duplicates (duplicate_id)",
+
+  // Merged duplicates stay behind, inactive, pointing at the artisan they were merged into
+  { table: "artisans", column: "merged_into", definition: "INTEGER REFERENCES artisans (id)" },
+  "CREATE INDEX IF NOT EXISTS idx_artisans_merged_into ON artisans (merged_into)",
+
+  // Verification workflow; artisans registered before it existed stay live as verified
+  { table: "artisans", column: "verification_status", definition: "TEXT NOT NULL DEFAULT 'verified'" },
+  { table: "artisans", column: "verification_comment", definition: "TEXT" },
+  "CREATE INDEX IF NOT EXISTS idx_artisans_verification_status ON artisans (verification_status)",
+  `CREATE TABLE IF NOT EXISTS artisan_reviews (
+    id           INTEGER  PRIMARY KEY AUTOINCREMENT,
+    artisan_id   INTEGER  NOT NULL,
+    from_status  TEXT,
+    to_status    TEXT     NOT NULL,
+    comment      TEXT,
+    reviewer_id  INTEGER,
+    created_at   DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (artisan_id) REFERENCES artisans (id),
+    FOREIGN KEY (reviewer_id) REFERENCES user (id)
+  )`,
+  "CREATE INDEX IF NOT EXISTS idx_artisan_reviews_artisan_id ON artisan_reviews (artisan_id)",
+
+  // Full-text search (GET /artisans/search): an FTS5 index over artisans, kept in sync by triggers
+  `CREATE VIRTUAL TABLE IF NOT EXISTS artisans_fts USING fts5(
+    ${ARTISAN_SEARCH_COLUMNS.join(", ")},
+    content = 'artisans', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 2'
+  )`,
+  `CREATE TRIGGER IF NOT EXISTS trg_artisans_fts_insert AFTER INSERT ON artisans
+   BEGIN
+     INSERT INTO artisans_fts (rowid, ${ARTISAN_SEARCH_COLUMNS.join(", ")})
+     VALUES (NEW.id, ${ARTISAN_SEARCH_COLUMNS.map((column) => `NEW.${column}`).join(", ")});
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_artisans_fts_update AFTER UPDATE ON artisans
+   WHEN ${ARTISAN_SEARCH_COLUMNS.map((column) => `OLD.${column} IS NOT NEW.${column}`).join(" OR ")}
+   BEGIN
+     INSERT INTO artisans_fts (artisans_fts, rowid, ${ARTISAN_SEARCH_COLUMNS.join(", ")})
+     VALUES ('delete', OLD.id, ${ARTISAN_SEARCH_COLUMNS.map((column) => `OLD.${column}`).join(", ")});
+     INSERT INTO artisans_fts (rowid, ${ARTISAN_SEARCH_COLUMNS.join(", ")})
+     VALUES (NEW.id, ${ARTISAN_SEARCH_COLUMNS.map((column) => `NEW.${column}`).join(", ")});
+   END`,
+  `CREATE TRIGGER IF NOT EXISTS trg_artisans_fts_delete AFTER DELETE ON artisans
+   BEGIN
+     INSERT INTO artisans_fts (artisans_fts, rowid, ${ARTISAN_SEARCH_COLUMNS.join(", ")})
+     VALUES ('delete', OLD.id, ${ARTISAN_SEARCH_COLUMNS.map((column) => `OLD.${column}`).join(", ")});
+   END`,
+  // Indexes the artisans that existed before the index did (only while it is still empty)
+  "INSERT INTO artisans_fts (artisans_fts) SELECT 'rebuild' WHERE NOT EXISTS (SELECT 1 FROM artisans_fts_docsize)",
+
+  // Radius and bounding box queries (GET /artisans/geo) prefilter on coordinates
+  "CREATE INDEX IF NOT EXISTS idx_artisans_location ON artisans (latitude, longitude)",
+
+  // Resized variants of processed uploads (config/imageProcessing.js), keyed by the image's storage key
+  `CREATE TABLE IF NOT EXISTS image_variants (
+    image_path      TEXT     PRIMARY KEY,
+    thumbnail_path  TEXT     NOT NULL,
+    medium_path     TEXT     NOT NULL,
+    width           INTEGER,
+    height          INTEGER,
+    created_at      DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Product and shop images edited one at a time (config/artisanImages.js); at most one cover each
+  ...["product_images", "shop_images"].flatMap((table) => [
+    { table, column: "caption", definition: "TEXT" },
+    { table, column: "sort_order", definition: "INTEGER NOT NULL DEFAULT (0)" },
+    { table, column: "is_cover", definition: "INTEGER NOT NULL DEFAULT (0)" },
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_cover ON ${table} (artisan_id) WHERE is_cover = 1`,
+  ]),
+];
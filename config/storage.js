@@ -0,0 +1,252 @@
+// storage.js - where uploaded files live: local disk or an S3-compatible object store
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} = require("@aws-sdk/client-s3");
+const { isAbsoluteUrl, publicUrl } = require("./publicUrl.js");
+
+// Where app.js serves the local store
+const LOCAL_ROUTE = "/uploads";
+
+const STORAGE = Object.freeze({
+  DRIVER: process.env.STORAGE_DRIVER || "local",
+  LOCAL_DIR: process.env.STORAGE_LOCAL_DIR || "uploads",
+  // Overrides the default of PUBLIC_BASE_URL + /uploads, e.g. for a CDN in front of the files
+  LOCAL_URL: process.env.STORAGE_LOCAL_URL,
+  S3_BUCKET: process.env.S3_BUCKET,
+  S3_REGION: process.env.S3_REGION || "us-east-1",
+  // Set for MinIO and other S3-compatible servers; requests then use path-style URLs
+  S3_ENDPOINT: process.env.S3_ENDPOINT,
+  S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY,
+  S3_PUBLIC_URL: process.env.S3_PUBLIC_URL,
+});
+
+// Keys are relative, forward-slashed and never climb out of the store
+const assertKey = (key) => {
+  const parts = String(key || "").split("/");
+  if (!key || key.startsWith("/") || parts.some((part) => part === "" || part === "." || part === "..")) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+const joinUrl = (base, key) =>
+  `${base.replace(/\/+$/, "")}/${key.split("/").map(encodeURIComponent).join("/")}`;
+
+/**
+ * Files under a directory on this server (served at LOCAL_ROUTE by app.js).
+ * Without `baseUrl` their URLs are built from the public base URL per call.
+ */
+const createLocalStorage = ({ dir, baseUrl }) => {
+  const root = path.resolve(dir);
+  const resolve = (key) => path.join(root, ...assertKey(key).split("/"));
+
+  const walk = async (directory) => {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch((err) => {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    });
+    const files = [];
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...(await walk(fullPath)));
+      } else if (entry.isFile()) {
+        const { size, mtime } = await fs.promises.stat(fullPath);
+        files.push({ key: path.relative(root, fullPath).split(path.sep).join("/"), size, modifiedAt: mtime });
+      }
+    }
+    return files;
+  };
+
+  return {
+    name: "local",
+    async put(key, filePath) {
+      const target = resolve(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.copyFile(filePath, target);
+    },
+    async remove(key) {
+      await fs.promises.unlink(resolve(key)).catch((err) => {
+        if (err.code !== "ENOENT") throw err;
+      });
+    },
+    exists: (key) =>
+      fs.promises.access(resolve(key)).then(
+        () => true,
+        () => false
+      ),
+    async list(prefix = "") {
+      return (await walk(root)).filter((file) => file.key.startsWith(prefix));
+    },
+    url: (key) => joinUrl(baseUrl || publicUrl(LOCAL_ROUTE), assertKey(key)),
+  };
+};
+
+/**
+ * Objects in an S3 bucket. `endpoint` points it at MinIO or another
+ * S3-compatible server; `publicBaseUrl` is where clients fetch the objects from.
+ */
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicBaseUrl }) => {
+  if (!bucket) {
+    throw new Error("S3_BUCKET is required for the s3 storage driver");
+  }
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const baseUrl =
+    publicBaseUrl || (endpoint ? joinUrl(endpoint, bucket) : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: "s3",
+    async put(key, filePath, contentType) {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: assertKey(key),
+          Body: await fs.promises.readFile(filePath),
+          ContentType: contentType,
+        })
+      );
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: assertKey(key) }));
+    },
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: assertKey(key) }));
+        return true;
+      } catch (err) {
+        if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+    async list(prefix = "") {
+      const files = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix || undefined, ContinuationToken })
+        );
+        files.push(
+          ...(page.Contents || []).map((object) => ({
+            key: object.Key,
+            size: object.Size,
+            modifiedAt: object.LastModified,
+          }))
+        );
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return files;
+    },
+    url: (key) => joinUrl(baseUrl, assertKey(key)),
+  };
+};
+
+let storage = null;
+
+/**
+ * The configured store (STORAGE_DRIVER), created on first use
+ */
+const getStorage = () => {
+  if (!storage) {
+    if (STORAGE.DRIVER === "local") {
+      storage = createLocalStorage({ dir: STORAGE.LOCAL_DIR, baseUrl: STORAGE.LOCAL_URL });
+    } else if (STORAGE.DRIVER === "s3") {
+      storage = createS3Storage({
+        bucket: STORAGE.S3_BUCKET,
+        region: STORAGE.S3_REGION,
+        endpoint: STORAGE.S3_ENDPOINT,
+        accessKeyId: STORAGE.S3_ACCESS_KEY_ID,
+        secretAccessKey: STORAGE.S3_SECRET_ACCESS_KEY,
+        publicBaseUrl: STORAGE.S3_PUBLIC_URL,
+      });
+    } else {
+      throw new Error(`Unknown STORAGE_DRIVER "${STORAGE.DRIVER}", expected local or s3`);
+    }
+  }
+  return storage;
+};
+
+const isExternal = isAbsoluteUrl;
+
+/**
+ * Storage key behind a value stored in the database. Rows written before
+ * the storage layer hold paths such as `uploads/product_images/x.jpg` (or
+ * with Windows separators); those map to the same key a new upload would
+ * get. Absolute URLs (e.g. migrated to Google Drive) have no key.
+ */
+const keyOf = (stored) => {
+  if (!stored || isExternal(stored)) return null;
+  const key = String(stored)
+    .replace(/\\/g, "/")
+    .replace(/^\.?\/+/, "")
+    .replace(/^uploads\//, "");
+  try {
+    return assertKey(key);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Public URL of a stored value; absolute URLs are returned as they are
+ */
+const fileUrl = (stored) => {
+  if (!stored) return null;
+  if (isExternal(stored)) return stored;
+  const key = keyOf(stored);
+  return key && getStorage().url(key);
+};
+
+/**
+ * Values an image given by a client (its key, legacy path or URL) may be
+ * stored under, for looking up the row it belongs to
+ */
+const storedForms = (value) => {
+  if (!value) return [];
+  let key = keyOf(value);
+  if (isExternal(value)) {
+    const base = getStorage().url("x").slice(0, -1);
+    const { pathname } = new URL(value, "http://localhost");
+    const decode = (text) => {
+      try {
+        return decodeURIComponent(text);
+      } catch (err) {
+        return null;
+      }
+    };
+    if (value.startsWith(base)) {
+      key = keyOf(decode(value.slice(base.length)));
+    } else if (pathname.startsWith(`${LOCAL_ROUTE}/`)) {
+      // A link to this server under another host name (e.g. before PUBLIC_BASE_URL changed)
+      key = keyOf(decode(pathname.slice(LOCAL_ROUTE.length + 1)));
+    }
+  }
+  const forms = [value];
+  if (key) {
+    forms.push(key, `uploads/${key}`, `uploads\\${key.replace(/\//g, "\\")}`);
+  }
+  return [...new Set(forms)];
+};
+
+module.exports = {
+  STORAGE,
+  LOCAL_ROUTE,
+  createLocalStorage,
+  createS3Storage,
+  getStorage,
+  isExternal,
+  keyOf,
+  fileUrl,
+  storedForms,
+};
@@ -0,0 +1,206 @@
+// storageMaintenance.js - integrity report and clean-up of uploaded files against the rows that use them
+const { dbAsync } = require("../routes/base_route.js");
+const { getStorage, keyOf, isExternal } = require("./storage.js");
+
+// Files younger than this may belong to an upload whose rows are not written yet (0 turns it off)
+const configuredGrace = parseInt(process.env.STORAGE_GC_GRACE_MINUTES, 10);
+const GRACE_MINUTES = configuredGrace >= 0 ? configuredGrace : 60;
+const MAX_LISTED = 1000;
+
+// Top-level folder of a key; profile pictures are stored at the top level
+const categoryOf = (key) => (key.includes("/") ? key.slice(0, key.indexOf("/")) : "profile_pictures");
+
+/**
+ * Every stored value that points at an upload, soft-deleted artisans
+ * included (their files are needed for a restore)
+ */
+const loadReferences = async (graceMinutes) => {
+  const rows = await dbAsync.all(
+    `SELECT 'artisans' AS source, id, id AS artisan_id, profile_picture AS stored FROM artisans
+     WHERE profile_picture IS NOT NULL AND profile_picture <> ''
+     UNION ALL
+     SELECT 'product_images', id, artisan_id, image_path FROM product_images
+     WHERE image_path IS NOT NULL AND image_path <> ''
+     UNION ALL
+     SELECT 'shop_images', id, artisan_id, image_path FROM shop_images
+     WHERE image_path IS NOT NULL AND image_path <> ''`
+  );
+  const images = rows.map((row) => ({ ...row, key: keyOf(row.stored) }));
+  const imageKeys = new Set(images.map((image) => image.key).filter(Boolean));
+
+  // Variants count as referenced while their image is
+  const variantRows = await dbAsync.all(
+    `SELECT image_path, thumbnail_path, medium_path,
+            created_at <= datetime('now', ?) AS past_grace
+     FROM image_variants`,
+    [`-${graceMinutes} minutes`]
+  );
+  const variants = [];
+  const staleVariantRows = [];
+  for (const row of variantRows) {
+    if (!imageKeys.has(row.image_path)) {
+      if (row.past_grace) staleVariantRows.push(row.image_path);
+      continue;
+    }
+    for (const key of [row.thumbnail_path, row.medium_path].filter(Boolean)) {
+      variants.push({ source: "image_variants", id: row.image_path, key });
+    }
+  }
+
+  return {
+    images,
+    variants,
+    staleVariantRows,
+    external: images.filter((image) => !image.key && isExternal(image.stored)).length,
+    keys: new Set([...imageKeys, ...variants.map((variant) => variant.key)]),
+  };
+};
+
+const isPastGrace = (file, graceMinutes, now = Date.now()) =>
+  !file.modifiedAt || now - new Date(file.modifiedAt).getTime() >= graceMinutes * 60 * 1000;
+
+/**
+ * Compares storage with the database:
+ * - `usage` files and bytes per category (profile_pictures, product_images, shop_images, ...)
+ * - `orphaned` files no row refers to, older than the grace period
+ * - `missing` rows whose file is not in storage
+ * Rows holding absolute URLs (e.g. Google Drive) are counted as `external`
+ * and not checked. File lists are capped at `limit`.
+ */
+const buildReport = async ({ limit, graceMinutes = GRACE_MINUTES } = {}) => {
+  const storage = getStorage();
+  const maxListed = Math.min(parseInt(limit, 10) || 100, MAX_LISTED);
+  const [files, references] = await Promise.all([storage.list(), loadReferences(graceMinutes)]);
+
+  const usage = {};
+  const total = { files: 0, bytes: 0 };
+  for (const file of files) {
+    const category = categoryOf(file.key);
+    usage[category] = usage[category] || { files: 0, bytes: 0 };
+    usage[category].files += 1;
+    usage[category].bytes += file.size || 0;
+    total.files += 1;
+    total.bytes += file.size || 0;
+  }
+
+  const now = Date.now();
+  const unreferenced = files.filter((file) => !references.keys.has(file.key));
+  const orphaned = unreferenced.filter((file) => isPastGrace(file, graceMinutes, now));
+
+  const stored = new Set(files.map((file) => file.key));
+  const missing = [...references.images.filter((image) => image.key), ...references.variants].filter(
+    (reference) => !stored.has(reference.key)
+  );
+
+  return {
+    driver: storage.name,
+    generated_at: new Date(now).toISOString(),
+    grace_minutes: graceMinutes,
+    usage: { ...usage, total },
+    orphaned: {
+      count: orphaned.length,
+      bytes: orphaned.reduce((sum, file) => sum + (file.size || 0), 0),
+      recent: unreferenced.length - orphaned.length,
+      files: orphaned.slice(0, maxListed).map((file) => ({
+        key: file.key,
+        category: categoryOf(file.key),
+        size: file.size,
+        modified_at: file.modifiedAt,
+      })),
+    },
+    missing: {
+      count: missing.length,
+      rows: missing.slice(0, maxListed).map(({ source, id, artisan_id: artisanId, key }) => ({
+        source,
+        id,
+        artisan_id: artisanId ?? null,
+        key,
+      })),
+    },
+    external: references.external,
+    stale_variant_rows: references.staleVariantRows.length,
+  };
+};
+
+/**
+ * Deletes orphaned files past the grace period (optionally only those in
+ * `keys`) and image_variants rows of images no longer referenced. Orphans are
+ * worked out again here, so a stale report can never remove a file in use.
+ * With `dryRun` nothing is deleted. Returns { removed, failed, bytes, staleVariantRows }.
+ */
+const cleanup = async ({ keys, dryRun = false, graceMinutes = GRACE_MINUTES } = {}) => {
+  const storage = getStorage();
+  const [files, references] = await Promise.all([storage.list(), loadReferences(graceMinutes)]);
+  const selected = keys ? new Set(keys) : null;
+
+  const now = Date.now();
+  const orphaned = files.filter(
+    (file) =>
+      !references.keys.has(file.key) &&
+      isPastGrace(file, graceMinutes, now) &&
+      (!selected || selected.has(file.key))
+  );
+
+  const removed = [];
+  const failed = [];
+  let bytes = 0;
+  for (const file of orphaned) {
+    if (!dryRun) {
+      try {
+        await storage.remove(file.key);
+      } catch (err) {
+        failed.push(file.key);
+        continue;
+      }
+    }
+    removed.push(file.key);
+    bytes += file.size || 0;
+  }
+
+  if (!dryRun && !selected) {
+    for (const imagePath of references.staleVariantRows) {
+      await dbAsync.run("DELETE FROM image_variants WHERE image_path = ?", [imagePath]);
+    }
+  }
+
+  return {
+    dryRun,
+    removed,
+    failed,
+    bytes,
+    staleVariantRows: selected ? 0 : references.staleVariantRows.length,
+  };
+};
+
+module.exports = {
+  GRACE_MINUTES,
+  buildReport,
+  cleanup,
+};
+
+// Maintenance job for cron: `npm run storage:gc` prints the report, `npm run storage:gc -- --delete` also cleans up
+if (require.main === module) {
+  const { connect, disconnect, setLogger } = require("../db");
+  setLogger(require("pino")({ level: "warn" }));
+
+  (async () => {
+    await connect();
+    try {
+      const report = await buildReport();
+      console.log(JSON.stringify(report, null, 2));
+      if (process.argv.includes("--delete")) {
+        const result = await cleanup();
+        console.log(
+          `Removed ${result.removed.length} orphaned files (${result.bytes} bytes), ` +
+            `${result.failed.length} failed, ${result.staleVariantRows} stale variant rows`
+        );
+        process.exitCode = result.failed.length > 0 ? 1 : 0;
+      }
+    } finally {
+      await disconnect();
+    }
+  })().catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
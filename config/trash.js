@@ -0,0 +1,211 @@
+// trash.js - soft-deleted (isActive = 0) records: listing, undelete and permanent purge
+const { dbAsync } = require("../routes/base_route.js");
+const { ROLES } = require("./permissions");
+const auditLog = require("./auditLog.js");
+const { getVariants } = require("./imageProcessing.js");
+const { getStorage, keyOf } = require("./storage.js");
+
+const ARTISAN_CHILD_TABLES = auditLog.ENTITIES.artisans.children;
+
+/**
+ * Entities with a trash bin, keyed by their audit_log entity name.
+ * - `restoreRoles` mirror who may delete them in the first place
+ * - `references` rows that keep a record from being purged
+ * - `cascade` rows purged together with the record
+ */
+const TRASH_ENTITIES = Object.freeze({
+  artisans: {
+    table: "artisans",
+    label: "name",
+    restoreRoles: [ROLES.ADMIN, ROLES.SUPERVISOR],
+    references: [],
+    cascade: [
+      ...ARTISAN_CHILD_TABLES.map((table) => ({ table, column: "artisan_id" })),
+      { table: "artisan_versions", column: "artisan_id" },
+      { table: "artisan_reviews", column: "artisan_id" },
+      { table: "artisan_duplicates", column: "artisan_id" },
+      { table: "artisan_duplicates", column: "duplicate_id" },
+    ],
+  },
+  crafts: {
+    table: "crafts",
+    label: "name",
+    restoreRoles: [ROLES.ADMIN],
+    references: [{ table: "categories", column: "craft_Id" }],
+    cascade: [],
+  },
+  categories: {
+    table: "categories",
+    label: "name",
+    restoreRoles: [ROLES.ADMIN],
+    references: [{ table: "techniques", column: "category_Id" }],
+    cascade: [],
+  },
+  techniques: {
+    table: "techniques",
+    label: "name",
+    restoreRoles: [ROLES.ADMIN],
+    references: [{ table: "artisans", column: "skill_id" }],
+    cascade: [],
+  },
+  education: {
+    table: "education",
+    label: "name",
+    restoreRoles: [ROLES.ADMIN],
+    references: [{ table: "artisans", column: "education_level_id" }],
+    cascade: [],
+  },
+  users: {
+    table: "user",
+    label: "username",
+    restoreRoles: [ROLES.ADMIN],
+    references: [{ table: "artisans", column: "user_Id" }],
+    cascade: [
+      { table: "user_tokens", column: "user_id" },
+      { table: "password_resets", column: "user_id" },
+    ],
+  },
+});
+
+const getEntity = (entity) => TRASH_ENTITIES[entity] || null;
+
+// Artisans are read through artisansView so geo-scoped callers only see their own area
+const source = (entity) => (entity === "artisans" ? "artisansView" : getEntity(entity).table);
+
+// Merged artisans are inactive too, but they redirect to their survivor rather than sit in the trash
+const trashedCondition = (entity) =>
+  entity === "artisans" ? "t.isActive = 0 AND t.merged_into IS NULL" : "t.isActive = 0";
+
+/**
+ * Deleted records of one entity, most recently deleted first, with who
+ * deleted them and when (from the audit log)
+ */
+const list = async (entity, { limit } = {}) => {
+  const { label } = getEntity(entity);
+  const rows = await dbAsync.all(
+    `SELECT t.id, t.${label} AS name,
+            d.created_at AS deleted_at, d.actor_id AS deleted_by, d.actor_username AS deleted_by_username
+     FROM ${source(entity)} t
+     LEFT JOIN audit_log d ON d.id = (
+       SELECT MAX(id) FROM audit_log
+       WHERE entity = ? AND entity_id = t.id AND action = 'delete'
+     )
+     WHERE ${trashedCondition(entity)}
+     ORDER BY d.id DESC, t.id DESC
+     LIMIT ?`,
+    [entity, Math.min(parseInt(limit, 10) || 100, 1000)]
+  );
+  return rows.map((row) => ({ entity, ...row }));
+};
+
+/**
+ * Deleted records of every entity, most recently deleted first
+ */
+const listAll = async ({ limit } = {}) => {
+  const rows = (
+    await Promise.all(Object.keys(TRASH_ENTITIES).map((entity) => list(entity, { limit })))
+  ).flat();
+  return rows
+    .sort((a, b) => String(b.deleted_at || "").localeCompare(String(a.deleted_at || "")))
+    .slice(0, Math.min(parseInt(limit, 10) || 100, 1000));
+};
+
+const isTrashed = async (entity, id) =>
+  Boolean(
+    await dbAsync.get(`SELECT t.id FROM ${source(entity)} t WHERE t.id = ? AND ${trashedCondition(entity)}`, [
+      id,
+    ])
+  );
+
+const restore = (entity, id) =>
+  dbAsync.run(`UPDATE ${getEntity(entity).table} SET isActive = 1 WHERE id = ? AND isActive = 0`, [id]);
+
+/**
+ * Rows still pointing at the record, e.g. { categories: 3 }. Purging is
+ * refused while there are any.
+ */
+const findReferences = async (entity, id) => {
+  const found = {};
+  for (const { table, column } of getEntity(entity).references) {
+    const { count } = await dbAsync.get(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`, [id]);
+    if (count > 0) found[table] = count;
+  }
+  return found;
+};
+
+// Stored paths of the artisan's profile picture, product and shop images
+const artisanImages = async (id) => {
+  const artisan = await dbAsync.get("SELECT profile_picture FROM artisans WHERE id = ?", [id]);
+  const images = await dbAsync.all(
+    `SELECT image_path FROM product_images WHERE artisan_id = ?
+     UNION ALL
+     SELECT image_path FROM shop_images WHERE artisan_id = ?`,
+    [id, id]
+  );
+  return [artisan && artisan.profile_picture, ...images.map((image) => image.image_path)].filter(Boolean);
+};
+
+// Storage keys behind those images, resized variants included (images held elsewhere, e.g. Drive URLs, have none)
+const artisanFiles = async (images) => {
+  const keys = images.map(keyOf).filter(Boolean);
+  const variants = await getVariants(keys);
+  return keys.flatMap((key) => [key, ...Object.values(variants[key] || {})]);
+};
+
+/**
+ * Permanently deletes the record and its `cascade` rows, and for an artisan
+ * the artisans merged into it. Runs inside the caller's transaction; returns
+ * the storage keys to remove once it commits.
+ */
+const purge = async (entity, id) => {
+  const { table, cascade } = getEntity(entity);
+  const images = entity === "artisans" ? await artisanImages(id) : [];
+  const files = await artisanFiles(images);
+
+  if (entity === "artisans") {
+    // Their data moved to this artisan, so without it they would only be empty duplicates
+    const merged = await dbAsync.all("SELECT id FROM artisans WHERE merged_into = ?", [id]);
+    for (const victim of merged) {
+      files.push(...(await purge(entity, victim.id)));
+    }
+  }
+
+  for (const { table: childTable, column } of cascade) {
+    await dbAsync.run(`DELETE FROM ${childTable} WHERE ${column} = ?`, [id]);
+  }
+  if (entity === "artisans") {
+    for (const key of images.map(keyOf).filter(Boolean)) {
+      await dbAsync.run("DELETE FROM image_variants WHERE image_path = ?", [key]);
+    }
+  }
+  await dbAsync.run(`DELETE FROM ${table} WHERE id = ?`, [id]);
+  return files;
+};
+
+/**
+ * Deletes files left behind by a purge from storage; returns the keys that could not be removed
+ */
+const removeFiles = async (files) => {
+  const storage = getStorage();
+  const failed = [];
+  for (const key of files) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      failed.push(key);
+    }
+  }
+  return failed;
+};
+
+module.exports = {
+  TRASH_ENTITIES,
+  getEntity,
+  list,
+  listAll,
+  isTrashed,
+  restore,
+  findReferences,
+  purge,
+  removeFiles,
+};
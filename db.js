@@ -1,4 +1,5 @@
 const sqlite3 = require('sqlite3').verbose();
+const schema = require('./config/schema');
 
 let logger;
 
@@ -30,18 +31,34 @@ const db = new sqlite3.Database('./artisan_db.db', (err) => {
 
 const proxiedDb = new Proxy(db, dbProxy);
 
-const connect = () => {
+const run = (sql) => {
   return new Promise((resolve, reject) => {
-    db.serialize(() => {
-      // Add any initialization queries here, e.g., creating tables
-      // Example:
-      // db.run("CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT, email TEXT)");
+    db.run(sql, (err) => (err ? reject(err) : resolve()));
+  });
+};
 
-      resolve();
-    });
+const all = (sql) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows)));
   });
 };
 
+// Apply the schema steps from config/schema.js in order
+const connect = async () => {
+  for (const step of schema) {
+    if (typeof step === 'string') {
+      await run(step);
+      continue;
+    }
+
+    const { table, column, definition } = step;
+    const columns = await all(`PRAGMA table_info(${table})`);
+    if (!columns.some((c) => c.name === column)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+};
+
 const disconnect = () => {
   return new Promise((resolve, reject) => {
     db.close((err) => {
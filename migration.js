@@ -120,7 +120,7 @@ const generateDriveUrl = (fileId) => {
 /**
  * Main migration endpoint
  */
-router.get("/update-links", async (req, res) => {
+const updateLinks = async (req, res) => {
   try {
     const mode = req.query.mode || "verify";
 
@@ -149,7 +149,7 @@ router.get("/update-links", async (req, res) => {
       details: error.message
     });
   }
-});
+};
 
 /**
  * Phase 2: Verification Mode
@@ -465,5 +465,7 @@ const handleExecuteMode = async (req, res) => {
 // Export the router following the project's dependency injection pattern
 module.exports = (dependencies) => {
   // The router can use injected dependencies if needed (db, logger, etc.)
+  const { auth } = dependencies;
+  router.get("/update-links", auth.authenticate, updateLinks);
   return router;
 };
@@ -1,15 +1,47 @@
-const path = require("path");
 const express = require("express");
-const fs = require("fs");
 const router = express.Router();
 const {
   upload,
+  importUpload,
   dbAsync,
   executeTransaction,
+  ensureOwnArtisan,
+  assignArtisanOwner,
+  keepArtisanOwner,
+  runValidators,
+  artisanEtag,
+  parseIfMatch,
   body,
   validationResult,
 } = require("./artisans_base_route.js");
+const { addVerificationStatusCondition } = require("./charts.js");
 const parseJsonFields = require('../config/parseJsonFields.js'); // Adjust path
+const { getGeoScope, getUserGeoScope } = require("../config/geoScope");
+const { isRestrictedToOwnRecords } = require("../config/permissions");
+const auditLog = require("../config/auditLog.js");
+const artisanVersions = require("../config/artisanVersions.js");
+const artisanDuplicates = require("../config/artisanDuplicates.js");
+const { queueDuplicates, findCreateDuplicates, duplicateWarning } = artisanDuplicates;
+const artisanMerge = require("../config/artisanMerge.js");
+const { artisanIdentityRules } = require("../config/identityValidation.js");
+const artisanVerification = require("../config/artisanVerification.js");
+const artisanChildRecords = require("../config/artisanChildRecords.js");
+const artisanImages = require("../config/artisanImages.js");
+const artisanSearch = require("../config/artisanSearch.js");
+const artisanGeo = require("../config/artisanGeo.js");
+const {
+  processUploadedImages,
+  discardUploads,
+  getVariants,
+  removeImage,
+} = require("../config/imageProcessing.js");
+const { fileUrl, keyOf, storedForms } = require("../config/storage.js");
+const {
+  FORMATS: EXPORT_FORMATS,
+  parseExportColumns,
+  streamArtisanExport,
+} = require("../config/artisanExport.js");
+const { prepareImport } = require("../config/artisanImport.js");
 
 // Validation middleware for create
 const validateArtisanData = [
@@ -18,18 +50,13 @@ const validateArtisanData = [
   body("artisan.father_name")
     .notEmpty()
     .withMessage("Father's name is required"),
-  body("artisan.cnic")
-    .isLength({ min: 15, max: 15 })
-    .withMessage("CNIC must be 15 digits with dashes"),
   body("artisan.gender")
     .isIn(["Male", "Female", "Trangender"])
     .withMessage("Invalid gender"),
   body("artisan.date_of_birth")
     .isISO8601()
     .withMessage("Invalid date of birth"),
-  body("artisan.contact_no")
-    .isLength({ min: 12, max: 12 })
-    .withMessage("Invalid phone number! Must be 12 digits with dashes"),
+  ...artisanIdentityRules(),
   /* body('artisan.skill_id').notEmpty().withMessage('Skill ID is required'),
   body('artisan.major_product').notEmpty().withMessage('Major product is required'),
   body('artisan.experience').optional().isInt({ min: 0 }).withMessage('Experience must be a non-negative integer'),
@@ -58,18 +85,13 @@ const validateUpdateArtisanData = [
   body("artisan.father_name")
     .notEmpty()
     .withMessage("Father's name is required"),
-  body("artisan.cnic")
-    .isLength({ min: 15, max: 15 })
-    .withMessage("CNIC must be 15 digits with dashes"),
   body("artisan.gender")
     .isIn(["Male", "Female", "Trangender"])
     .withMessage("Invalid gender"),
   body("artisan.date_of_birth")
     .isISO8601()
     .withMessage("Invalid date of birth"),
-  body("artisan.contact_no")
-    .isLength({ min: 12, max: 12 })
-    .withMessage("Invalid phone number! Must be 12 digits with dashes"),
+  ...artisanIdentityRules(),
   /* body('artisan.skill_id').notEmpty().withMessage('Skill ID is required'),
   body('artisan.major_product').notEmpty().withMessage('Major product is required'),
   body('artisan.experience').optional().isInt({ min: 0 }).withMessage('Experience must be a non-negative integer'),
@@ -91,17 +113,116 @@ const validateUpdateArtisanData = [
     .withMessage("Longitude must be a number"),
 ];
 
+// Columns GET /artisans may be sorted by (`sort=district_name,-created_at`)
+const ARTISAN_SORT_COLUMNS = [
+  "id",
+  "name",
+  "father_name",
+  "cnic",
+  "gender",
+  "date_of_birth",
+  "uc",
+  "division_name",
+  "district_name",
+  "tehsil_name",
+  "craft_name",
+  "category_name",
+  "skill_name",
+  "education_name",
+  "employment_type",
+  "avg_monthly_income",
+  "dependents_count",
+  "experience",
+  "verification_status",
+  "username",
+  "created_at",
+  "updated_at",
+];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+/**
+ * Turns `sort=name,-created_at` into an ORDER BY list. `id` is always the
+ * last key so pages stay stable when the sort values repeat.
+ */
+const parseArtisanSort = (sort) => {
+  const terms = String(sort || "")
+    .split(",")
+    .map((term) => term.trim())
+    .filter(Boolean)
+    .map((term) => {
+      const descending = term.startsWith("-");
+      const column = descending ? term.slice(1) : term;
+      if (!ARTISAN_SORT_COLUMNS.includes(column)) {
+        throw badRequest(`Cannot sort by '${column}'`);
+      }
+      return { column, direction: descending ? "DESC" : "ASC" };
+    });
+
+  if (!terms.some((term) => term.column === "id")) {
+    terms.push({ column: "id", direction: "ASC" });
+  }
+  return terms.map(({ column, direction }) => `${column} ${direction}`).join(", ");
+};
+
+/**
+ * Page parameters; `limit` is null when the caller asked for neither page nor
+ * limit, which keeps the old "everything at once" response for existing clients.
+ */
+const parsePagination = ({ page, limit }) => {
+  if (page === undefined && limit === undefined) return { page: 1, limit: null };
+
+  const pageNumber = page === undefined ? 1 : Number(page);
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    throw badRequest("page must be a positive integer");
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { page: pageNumber, limit: pageSize };
+};
+
+// X-Total-Count, plus first/last/prev/next links when the response is paginated
+const setPaginationHeaders = (req, res, { total, page, limit }) => {
+  res.set("X-Total-Count", String(total));
+  if (limit === null) return;
+
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const pageLink = (pageNumber, rel) => {
+    // Repeated filters (?craft=1&craft=2) stay repeated rather than joined with commas
+    const query = new URLSearchParams();
+    for (const [name, value] of Object.entries(req.query)) {
+      if (name === "page" || name === "limit") continue;
+      for (const item of [].concat(value)) query.append(name, item);
+    }
+    query.append("page", pageNumber);
+    query.append("limit", limit);
+    return `<${req.baseUrl}${req.path}?${query}>; rel="${rel}"`;
+  };
+  const links = [pageLink(1, "first"), pageLink(lastPage, "last")];
+  if (page > 1) links.push(pageLink(page - 1, "prev"));
+  if (page < lastPage) links.push(pageLink(page + 1, "next"));
+  res.set("Link", links.join(", "));
+};
+
+// List rows carry the stored profile picture; clients get its link, as from GET /artisans/:id
+const withFileUrls = (row) => ({ ...row, profile_picture: fileUrl(row.profile_picture) });
+
 // Entity operations
 const entityOps = {
-  async createArtisan(artisan, profilePicturePath) {
+  // verificationStatus comes from artisanVerification.initialStatus, never from the request body
+  async createArtisan(artisan, profilePicturePath, verificationStatus = "submitted") {
     const sql = `
       INSERT INTO artisans (
         name, father_name, cnic, gender, date_of_birth, contact_no, email, address,
         tehsil_id, education_level_id, dependents_count, crafting_method, profile_picture, ntn, skill_id, uc,
         major_product, experience, avg_monthly_income, employment_type_id, raw_material,
         loan_status, has_machinery, has_training, inherited_skills, financial_assistance, technical_assistance, comments, latitude,
-        longitude, user_Id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        longitude, user_Id, verification_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -136,6 +257,7 @@ const entityOps = {
       artisan.latitude || null,
       artisan.longitude || null,
       artisan.user_Id || null,
+      verificationStatus,
     ];
 
     const { lastID } = await dbAsync.run(sql, params);
@@ -147,66 +269,34 @@ const entityOps = {
       return Promise.resolve([]);
     }
 
-    const productImagesDir = "uploads/product_images";
-    // Ensure the directory exists
-    if (!fs.existsSync(productImagesDir)) {
-      fs.mkdirSync(productImagesDir, { recursive: true });
-    }
-
-    const imagePaths = files.map((file) => {
-      const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-      const filename = `product_image-${uniqueSuffix}${path.extname(
-        file.originalname
-      )}`;
-      const filePath = path.join(productImagesDir, filename);
-
-      // Move the file to the destination directory
-      fs.renameSync(file.path, filePath);
-      return filePath;
-    });
-
-    const ops = imagePaths.map((imagePath) => {
+    // processUploadedImages has already put the files into storage
+    const imageKeys = files.map((file) => file.key);
+    const ops = imageKeys.map((imageKey) => {
       const sql = `
         INSERT INTO product_images (artisan_id, image_path)
         VALUES (?, ?)
       `;
-      return dbAsync.run(sql, [artisanId, imagePath]);
+      return dbAsync.run(sql, [artisanId, imageKey]);
     });
 
-    return Promise.all(ops).then(() => imagePaths);
+    return Promise.all(ops).then(() => imageKeys);
   },
   createShopImages(artisanId, files) {
     if (!files || files.length === 0) {
       return Promise.resolve([]);
     }
 
-    const shopImagesDir = "uploads/shop_images";
-    // Ensure the directory exists
-    if (!fs.existsSync(shopImagesDir)) {
-      fs.mkdirSync(shopImagesDir, { recursive: true });
-    }
-
-    const imagePaths = files.map((file) => {
-      const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-      const filename = `shop_image-${uniqueSuffix}${path.extname(
-        file.originalname
-      )}`;
-      const filePath = path.join(shopImagesDir, filename);
-
-      // Move the file to the destination directory
-      fs.renameSync(file.path, filePath);
-      return filePath;
-    });
-
-    const ops = imagePaths.map((imagePath) => {
+    // processUploadedImages has already put the files into storage
+    const imageKeys = files.map((file) => file.key);
+    const ops = imageKeys.map((imageKey) => {
       const sql = `
         INSERT INTO shop_images (artisan_id, image_path)
         VALUES (?, ?)
       `;
-      return dbAsync.run(sql, [artisanId, imagePath]);
+      return dbAsync.run(sql, [artisanId, imageKey]);
     });
 
-    return Promise.all(ops).then(() => imagePaths);
+    return Promise.all(ops).then(() => imageKeys);
   },
 
   createTrainings(artisanId, trainings = []) {
@@ -361,14 +451,80 @@ const entityOps = {
     return dbAsync.run(sql, params);
   },
 
-  softDeleteArtisan(id) {
-    return dbAsync.run(
-      "UPDATE artisans SET isActive = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
-      [id]
+  // True when the artisan exists (active or not) inside the caller's geo scope
+  async isArtisanVisible(id) {
+    return Boolean(
+      await dbAsync.get("SELECT id FROM artisansView WHERE id = ?", [id])
+    );
+  },
+
+  // A device's artisan that was merged away resolves to the artisan it was merged into
+  getArtisanByClientUuid(clientUuid) {
+    return dbAsync.get(
+      `SELECT COALESCE(survivor.id, a.id) AS id, COALESCE(survivor.user_Id, a.user_Id) AS user_Id
+       FROM artisans a
+       LEFT JOIN artisans survivor ON survivor.id = a.merged_into
+       WHERE a.client_uuid = ?`,
+      [clientUuid]
     );
   },
 
-  getAllArtisans(filters = {}) {
+  /**
+   * Records photos uploaded by a device under their file names, after the
+   * artisan's other images. Files already recorded under the same name (a
+   * retried upload) are not added again: `keys` holds the stored key of every
+   * file, `duplicates` the new copies nothing refers to.
+   */
+  async createSyncedImages(table, artisanId, files = []) {
+    const keys = [];
+    const duplicates = [];
+    for (const file of files) {
+      const existing = await dbAsync.get(
+        `SELECT image_path FROM ${table} WHERE artisan_id = ? AND client_filename = ?`,
+        [artisanId, file.originalname]
+      );
+      if (existing) {
+        keys.push(existing.image_path);
+        duplicates.push(file.key);
+        continue;
+      }
+      await dbAsync.run(
+        `INSERT INTO ${table} (artisan_id, image_path, client_filename, sort_order)
+         VALUES (?, ?, ?, (SELECT COALESCE(MAX(sort_order) + 1, 0) FROM ${table} WHERE artisan_id = ?))`,
+        [artisanId, file.key, file.originalname, artisanId]
+      );
+      keys.push(file.key);
+    }
+    return { keys, duplicates };
+  },
+
+  setArtisanClientUuid(id, clientUuid) {
+    return dbAsync.run("UPDATE artisans SET client_uuid = ? WHERE id = ?", [
+      clientUuid,
+      id,
+    ]);
+  },
+
+  async getArtisanRevision(id) {
+    const row = await dbAsync.get("SELECT revision FROM artisans WHERE id = ?", [id]);
+    return row ? row.revision : null;
+  },
+
+  // With `expectedRevision`, only deletes while the artisan is still at that revision
+  softDeleteArtisan(id, expectedRevision = null) {
+    return expectedRevision === null
+      ? dbAsync.run(
+          "UPDATE artisans SET isActive = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [id]
+        )
+      : dbAsync.run(
+          "UPDATE artisans SET isActive = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND revision = ?",
+          [id, expectedRevision]
+        );
+  },
+
+  // Filtered artisansView query shared by the list and the export
+  buildArtisanQuery(filters = {}) {
     const {
       user_Id,
       division,
@@ -391,6 +547,7 @@ const entityOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
       name,
       uc
       // Add other new filters as needed
@@ -541,6 +698,7 @@ const entityOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
 
 
@@ -548,14 +706,64 @@ const entityOps = {
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query); // VERIFY COLUMN NAME
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);   // VERIFY COLUMN NAME
 
+    return { query, params };
+  },
+
+  async getAllArtisans(filters = {}) {
+    let { query, params } = entityOps.buildArtisanQuery(filters);
+    const orderBy = parseArtisanSort(filters.sort);
+    const { page, limit } = parsePagination(filters);
+
+    const { total } = await dbAsync.get(
+      `SELECT COUNT(*) AS total FROM (${query})`,
+      params
+    );
 
-    // Add ORDER BY or other clauses if needed
-    // query += " ORDER BY artisan_name"; // Example ordering
+    query += ` ORDER BY ${orderBy}`;
+    const pageParams = [...params];
+    if (limit !== null) {
+      query += " LIMIT ? OFFSET ?";
+      pageParams.push(limit, (page - 1) * limit);
+    }
 
     console.log("Executing Query:", query); // Log the query for debugging
-    console.log("With Parameters:", params); // Log parameters for debugging
+    console.log("With Parameters:", pageParams); // Log parameters for debugging
+
+    const rows = await dbAsync.all(query, pageParams);
+    return { rows, total, page, limit };
+  },
+
+  // Ranked full-text search that honours the same filters as getAllArtisans; always paginated
+  async searchArtisans(filters = {}) {
+    const { query, params } = entityOps.buildArtisanQuery(filters);
+    const { page, limit } = parsePagination({ page: filters.page ?? 1, limit: filters.limit });
+    const { rows, total } = await artisanSearch.search({
+      q: filters.q,
+      filterQuery: query,
+      params,
+      page,
+      limit,
+    });
+    return { rows, total, page, limit };
+  },
 
-    return dbAsync.all(query, params);
+  // Radius, bounding box or k-nearest query that honours the same filters as getAllArtisans
+  async findArtisansNearby(filters = {}) {
+    const geo = artisanGeo.parseGeoQuery(filters);
+    const { query, params } = entityOps.buildArtisanQuery(filters);
+    // k-nearest returns exactly k rows, so it is never paged
+    const { page, limit } =
+      geo.k === null
+        ? parsePagination({ page: filters.page ?? 1, limit: filters.limit })
+        : { page: 1, limit: null };
+    const { rows, total } = await artisanGeo.search({
+      geo,
+      filterQuery: query,
+      params,
+      page,
+      limit,
+    });
+    return { rows, total, page, limit };
   },
 
   /* async getArtisanById(id) {
@@ -717,7 +925,6 @@ const entityOps = {
             artisans.address,
             artisans.tehsil_id,
             artisans.profile_picture,
-            concat('https://artisan-psic.com/', artisans.profile_picture) AS profile_picture,
             division.name AS division_name,
             district.name AS district_name,
             tehsil.name AS tehsil_name,
@@ -758,6 +965,9 @@ const entityOps = {
             artisans.created_at,
             artisans.updated_at,
             artisans.isActive,
+            artisans.revision,
+            artisans.verification_status,
+            artisans.verification_comment,
             artisans.user_Id,
             user.username
         FROM artisans
@@ -778,12 +988,25 @@ const entityOps = {
       return null;
     }
 
+    // Callers limited to a geo scope only see artisans inside it
+    if (getGeoScope()) {
+      const inScope = await dbAsync.get(
+        "SELECT id FROM artisansView WHERE id = ?",
+        [id]
+      );
+      if (!inScope) {
+        return null;
+      }
+    }
+
     // Initialize the artisan object with main data
-    const artisan = { ...artisanRow };
+    const storedProfilePicture = artisanRow.profile_picture;
+    const artisan = { ...artisanRow, profile_picture: fileUrl(storedProfilePicture) };
 
     // Step 2: Query one-to-many related data concurrently
     const trainingsSql = `
         SELECT
+            id,
             title AS title,
             duration AS duration,
             organization AS organization,
@@ -794,6 +1017,7 @@ const entityOps = {
 
     const loansSql = `
         SELECT
+            id,
             amount AS amount,
             date AS date,
             loan_type,
@@ -805,6 +1029,7 @@ const entityOps = {
 
     const machinesSql = `
         SELECT
+            id,
             title AS title,
             size AS size,
             number_of_machines AS number_of_machines
@@ -814,16 +1039,18 @@ const entityOps = {
 
     const productImagesSql = `
         SELECT
-            concat('https://artisan-psic.com/', image_path) AS product_image_path
+            id, image_path, caption, is_cover
         FROM product_images
         WHERE artisan_id = ?
+        ORDER BY ${artisanImages.ORDER}
     `;
 
     const shopImagesSql = `
         SELECT
-            concat('https://artisan-psic.com/', image_path) AS shop_image_path
+            id, image_path, caption, is_cover
         FROM shop_images
         WHERE artisan_id = ?
+        ORDER BY ${artisanImages.ORDER}
     `;
 
     // Execute all related queries concurrently for efficiency
@@ -847,12 +1074,40 @@ const entityOps = {
       artisan.machines = machines;
     }
     if (productImages.length > 0) {
-      artisan.product_images = productImages.map(
-        (row) => row.product_image_path
-      );
+      artisan.product_images = productImages.map((row) => fileUrl(row.image_path));
+    }
+    if (shopImages.length > 0) {
+      artisan.shop_images = shopImages.map((row) => fileUrl(row.image_path));
+    }
+
+    // Thumbnail and medium URLs of processed uploads (none for older images)
+    const variants = await getVariants(
+      [storedProfilePicture, ...productImages.map((row) => row.image_path), ...shopImages.map((row) => row.image_path)].map(
+        keyOf
+      )
+    );
+    const variantUrls = (imagePath) => {
+      const { thumbnail = null, medium = null } = variants[keyOf(imagePath)] || {};
+      return { thumbnail: fileUrl(thumbnail), medium: fileUrl(medium) };
+    };
+    artisan.profile_picture_variants = variantUrls(storedProfilePicture);
+    if (productImages.length > 0) {
+      artisan.product_image_variants = productImages.map((row) => ({
+        original: fileUrl(row.image_path),
+        ...variantUrls(row.image_path),
+        id: row.id,
+        caption: row.caption,
+        is_cover: Boolean(row.is_cover),
+      }));
     }
     if (shopImages.length > 0) {
-      artisan.shop_images = shopImages.map((row) => row.shop_image_path);
+      artisan.shop_image_variants = shopImages.map((row) => ({
+        original: fileUrl(row.image_path),
+        ...variantUrls(row.image_path),
+        id: row.id,
+        caption: row.caption,
+        is_cover: Boolean(row.is_cover),
+      }));
     }
 
     return artisan;
@@ -922,45 +1177,569 @@ const entityOps = {
     ]);
   },
 
-  async updateProductImage(imagePath, newImagePath) {
-    const oldImagePath = await dbAsync.get(
-      "SELECT image_path FROM product_images WHERE image_path = ?",
-      [imagePath]
+  // The product_images/shop_images row of an image a client names by key, legacy path or URL
+  findImage(table, value) {
+    const forms = storedForms(value);
+    if (forms.length === 0) return Promise.resolve(undefined);
+    return dbAsync.get(
+      `SELECT id, artisan_id, image_path FROM ${table}
+       WHERE image_path IN (${forms.map(() => "?").join(", ")})`,
+      forms
     );
-    if (oldImagePath && oldImagePath.image_path) {
-      fs.unlink(oldImagePath.image_path, (err) => {
-        if (err) {
-          console.error("Error deleting old product image:", err);
-        }
+  },
+
+  // Points an image row at its replacement file; the old file goes once the caller commits
+  replaceImage(table, id, newImagePath) {
+    return dbAsync.run(`UPDATE ${table} SET image_path = ? WHERE id = ?`, [newImagePath, id]);
+  },
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_SYNC_BATCH = 100;
+
+/**
+ * Fields where the stored artisan differs from what the client submitted:
+ * { field: { server, submitted } }. Form values arrive as strings, so scalars
+ * are compared as text.
+ */
+const diffConflict = (current, submitted) => {
+  const asText = (value) =>
+    value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  const changes = {};
+  for (const [field, value] of Object.entries(submitted)) {
+    if (value === undefined) continue;
+    const server = auditLog.withoutRowIds(current[field] ?? null);
+    if (asText(server) !== asText(value)) changes[field] = { server, submitted: value };
+  }
+  return changes;
+};
+
+/**
+ * Throws a 409 carrying the current state when the artisan is no longer at
+ * `expectedRevision`. Call inside the write transaction so nothing can slip
+ * in between the check and the write. A null revision skips the check.
+ */
+const assertRevision = async (artisanId, expectedRevision, submitted) => {
+  if (expectedRevision === null || expectedRevision === undefined) return;
+  const revision = await entityOps.getArtisanRevision(artisanId);
+  if (revision === null || revision === Number(expectedRevision)) return;
+
+  const current = await auditLog.snapshot("artisans", artisanId);
+  throw Object.assign(
+    new Error("Artisan was changed by someone else; reload it and apply your changes again"),
+    {
+      statusCode: 409,
+      conflict: { revision, current, changes: diffConflict(current, submitted) },
+    }
+  );
+};
+
+// POST /artisans?draft=true saves without submitting for verification
+const isDraftRequest = (req) => ["true", "1"].includes(String(req.query.draft));
+
+// An enumerator's edit to a verified artisan puts it back in the verification queue
+const reverifyAfterEdit = async (req, artisanId) => {
+  const current = await artisanVerification.getStatus(artisanId);
+  const status = artisanVerification.statusAfterEdit(req.user, current);
+  if (status !== current) {
+    await artisanVerification.setStatus(req, artisanId, status, "Edited after verification");
+  }
+};
+
+/**
+ * Creates or updates one offline-recorded artisan, matched on its client
+ * UUID, in its own transaction so a bad record doesn't sink the batch.
+ * Returns the per-record result sent back to the device.
+ */
+const syncArtisanRecord = async (req, record) => {
+  const {
+    client_uuid: clientUuid,
+    revision: expectedRevision,
+    artisan = {},
+    trainings,
+    loans,
+    machines,
+  } = record || {};
+  const failed = (errors) => ({ client_uuid: clientUuid ?? null, status: "error", errors });
+
+  if (!UUID_PATTERN.test(String(clientUuid))) {
+    return failed(["client_uuid must be a UUID"]);
+  }
+  if (
+    expectedRevision !== undefined &&
+    expectedRevision !== null &&
+    !Number.isInteger(Number(expectedRevision))
+  ) {
+    return failed(["revision must be an integer"]);
+  }
+
+  const existing = await entityOps.getArtisanByClientUuid(clientUuid);
+  // A deleted artisan, or one outside the caller's geo scope, is not theirs to overwrite
+  if (
+    existing &&
+    (!(await entityOps.isArtisanVisible(existing.id)) ||
+      (await artisanVerification.getStatus(existing.id)) === null)
+  ) {
+    return failed(["Artisan not found"]);
+  }
+  if (
+    existing &&
+    isRestrictedToOwnRecords(req.user) &&
+    Number(existing.user_Id) !== req.user.id
+  ) {
+    return failed(["You can only edit artisans you registered"]);
+  }
+
+  const errors = await runValidators(
+    existing ? validateUpdateArtisanData : validateArtisanData,
+    { artisan }
+  );
+  if (errors.length > 0) return failed(errors);
+
+  // Same ownership rules as assignArtisanOwner and keepArtisanOwner
+  if (existing) {
+    if (isRestrictedToOwnRecords(req.user) || !artisan.user_Id) delete artisan.user_Id;
+  } else if (isRestrictedToOwnRecords(req.user) || !artisan.user_Id) {
+    artisan.user_Id = req.user.id;
+  }
+
+  let transactionStarted = false;
+  try {
+    await dbAsync.run("BEGIN TRANSACTION");
+    transactionStarted = true;
+    let artisanId;
+    let before = null;
+    if (existing) {
+      artisanId = existing.id;
+      // Devices send the revision they last pulled; edits made since then on the server win
+      await assertRevision(artisanId, expectedRevision, { ...artisan, trainings, loans, machines });
+      before = await auditLog.snapshot("artisans", artisanId);
+      await entityOps.updateArtisan(artisanId, artisan);
+      // Child lists are replaced only when the device sent them, as in PUT /artisans/:id
+      if (Array.isArray(trainings)) {
+        await entityOps.deleteTrainings(artisanId);
+        await entityOps.createTrainings(artisanId, trainings);
+      }
+      if (Array.isArray(loans)) {
+        await entityOps.deleteLoans(artisanId);
+        await entityOps.createLoans(artisanId, loans);
+      }
+      if (Array.isArray(machines)) {
+        await entityOps.deleteMachines(artisanId);
+        await entityOps.createMachines(artisanId, machines);
+      }
+      await reverifyAfterEdit(req, artisanId);
+    } else {
+      // Photos arrive later through POST /sync/artisans/:clientUuid/images
+      artisanId = await entityOps.createArtisan(artisan, "", artisanVerification.initialStatus(req.user));
+      await entityOps.setArtisanClientUuid(artisanId, clientUuid);
+      await entityOps.createTrainings(artisanId, trainings || []);
+      await entityOps.createLoans(artisanId, loans || []);
+      await entityOps.createMachines(artisanId, machines || []);
+    }
+
+    const action = existing ? "update" : "create";
+    await auditLog.record(req, { entity: "artisans", id: artisanId, action, before });
+    await artisanVersions.save(req, artisanId, action, before);
+    const revision = await entityOps.getArtisanRevision(artisanId);
+    await dbAsync.run("COMMIT");
+    transactionStarted = false;
+    // Devices can't answer a duplicate warning offline; suspected pairs go to the review queue
+    await queueDuplicates(artisanId);
+
+    return {
+      client_uuid: clientUuid,
+      status: existing ? "updated" : "created",
+      id: artisanId,
+      revision,
+      errors: [],
+    };
+  } catch (err) {
+    if (transactionStarted) {
+      await dbAsync.run("ROLLBACK").catch(() => {});
+    }
+    if (err.conflict) {
+      return {
+        client_uuid: clientUuid,
+        status: "conflict",
+        id: existing.id,
+        ...err.conflict,
+        errors: [err.message],
+      };
+    }
+    return failed([err.message]);
+  }
+};
+
+module.exports = (dependencies) => {
+  const { logger, auth } = dependencies;
+
+  // Audit action recorded for each review decision
+  const REVIEW_ACTIONS = {
+    verified: "verify",
+    rejected: "reject",
+    needs_correction: "request_correction",
+  };
+
+  // Shared by the submit and review endpoints
+  const changeVerificationStatus = async (req, res, status, action) => {
+    const artisanId = req.params.id;
+    const routeLogger = logger.child({
+      route: "artisans",
+      handler: "changeVerificationStatus",
+      artisanId,
+      status,
+    });
+    routeLogger.info("Received verification status change");
+    const comment =
+      typeof (req.body && req.body.comment) === "string" && req.body.comment.trim()
+        ? req.body.comment.trim()
+        : null;
+
+    let transactionStarted = false;
+    try {
+      if (!(await entityOps.isArtisanVisible(artisanId))) {
+        return res.status(404).json({ message: "Artisan not found" });
+      }
+      await dbAsync.run("BEGIN TRANSACTION");
+      transactionStarted = true;
+
+      const before = await auditLog.snapshot("artisans", artisanId);
+      const { from } = await artisanVerification.transition(req, artisanId, status, comment);
+      await auditLog.record(req, { entity: "artisans", id: artisanId, action, before });
+      await artisanVersions.save(req, artisanId, action, before);
+      const revision = await entityOps.getArtisanRevision(artisanId);
+
+      await dbAsync.run("COMMIT");
+      routeLogger.info({ from }, "Verification status changed");
+
+      res.set("ETag", artisanEtag(revision));
+      res.json({
+        id: parseInt(artisanId),
+        previousStatus: from,
+        status,
+        comment,
+        revision,
       });
+    } catch (err) {
+      if (transactionStarted) {
+        try {
+          await dbAsync.run("ROLLBACK");
+        } catch (rollbackErr) {
+          routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+        }
+      }
+      routeLogger.error({ error: err }, "Error changing verification status");
+      res.status(err.statusCode || 500).json({ error: err.message });
     }
-    return dbAsync.run("UPDATE product_images SET image_path = ? WHERE image_path = ?", [
-      newImagePath,
-      imagePath,
-    ]);
-  },
+  };
 
-  async updateShopImage(imagePath, newImagePath) {
-    const oldImagePath = await dbAsync.get(
-      "SELECT image_path FROM shop_images WHERE image_path = ?",
-      [imagePath]
-    );
-    if (oldImagePath && oldImagePath.image_path) {
-      fs.unlink(oldImagePath.image_path, (err) => {
-        if (err) {
-          console.error("Error deleting old shop image:", err);
+  /**
+   * Swaps the file of the product or shop image named by req.body.image_path
+   * for the one uploaded (PUT /artisans/product-image and /shop-image). The
+   * old file is removed only once the new path is committed.
+   */
+  const replaceImage = async (req, res, { table, handler, title }) => {
+    const { image_path } = req.body;
+    const routeLogger = logger.child({ route: "artisans", handler, imagePath: image_path });
+    routeLogger.info(`Received ${handler} request`);
+    if (!req.file) {
+      return res.status(400).json({ message: `Upload the new ${title.toLowerCase()}` });
+    }
+
+    let transactionStarted = false;
+    let committed = false;
+    try {
+      const image = await entityOps.findImage(table, image_path);
+      if (!image || !(await entityOps.isArtisanVisible(image.artisan_id))) {
+        await discardUploads(req);
+        return res.status(404).json({ message: image ? "Artisan not found" : `${title} not found` });
+      }
+
+      await dbAsync.run("BEGIN TRANSACTION");
+      transactionStarted = true;
+      const before = await auditLog.snapshot("artisans", image.artisan_id);
+      await entityOps.replaceImage(table, image.id, req.file.key);
+      await auditLog.record(req, { entity: "artisans", id: image.artisan_id, action: "update", before });
+      await artisanVersions.save(req, image.artisan_id, "update", before);
+      await dbAsync.run("COMMIT");
+      transactionStarted = false;
+      committed = true;
+
+      removeImage(image.image_path).catch((err) =>
+        routeLogger.warn({ error: err }, `Removing the replaced ${title.toLowerCase()} failed`)
+      );
+      res.json({ message: `${title} updated successfully` });
+    } catch (err) {
+      if (transactionStarted) {
+        try {
+          await dbAsync.run("ROLLBACK");
+        } catch (rollbackErr) {
+          routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
         }
+      }
+      if (!committed) await discardUploads(req);
+      routeLogger.error({ error: err }, `Error updating ${title.toLowerCase()}`);
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  /**
+   * Runs one write to an artisan's nested rows in a transaction, with the same
+   * audit, version and If-Match checks as a full update. `write` returns
+   * { statusCode, body, afterCommit } or null when the row named by
+   * req.params[idParam] does not belong to the artisan; `afterCommit` is for
+   * work that must not happen if the write is rolled back, e.g. removing files.
+   */
+  const writeArtisanChild = async (req, res, { action, idParam, notFound }, write) => {
+    const artisanId = req.params.id;
+    const routeLogger = logger.child({
+      route: "artisans",
+      handler: action,
+      artisanId,
+      [idParam]: req.params[idParam],
+    });
+    routeLogger.info({ body: req.body }, `Received ${action} request`);
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      routeLogger.warn({ errors: errors.array() }, "Validation failed");
+      return res.status(400).json({
+        status: "error",
+        statusCode: 400,
+        message: errors.array().map((error) => error.msg).join(", "),
+        errors: errors.array(),
+      });
+    }
+    const expectedRevision = parseIfMatch(req.get("If-Match"));
+    if (Number.isNaN(expectedRevision)) {
+      return res.status(400).json({
+        status: "error",
+        statusCode: 400,
+        message: "If-Match must be an ETag returned by GET /artisans/:id",
       });
     }
-    return dbAsync.run("UPDATE shop_images SET image_path = ? WHERE image_path = ?", [
-      newImagePath,
-      imagePath,
-    ]);
-  },
-};
 
-module.exports = (dependencies) => {
-  const { logger } = dependencies;
+    let transactionStarted = false;
+    try {
+      if (
+        !(await entityOps.isArtisanVisible(artisanId)) ||
+        (await artisanVerification.getStatus(artisanId)) === null
+      ) {
+        return res.status(404).json({ message: "Artisan not found" });
+      }
+      await dbAsync.run("BEGIN TRANSACTION");
+      transactionStarted = true;
+
+      await assertRevision(artisanId, expectedRevision, {});
+      const before = await auditLog.snapshot("artisans", artisanId);
+      const result = await write(artisanId);
+      if (result === null) {
+        await dbAsync.run("ROLLBACK");
+        transactionStarted = false;
+        return res.status(404).json({ message: notFound });
+      }
+      await reverifyAfterEdit(req, artisanId);
+      await auditLog.record(req, { entity: "artisans", id: artisanId, action, before });
+      await artisanVersions.save(req, artisanId, action, before);
+      const revision = await entityOps.getArtisanRevision(artisanId);
+
+      await dbAsync.run("COMMIT");
+      routeLogger.info(`${action} done`);
+      if (result.afterCommit) {
+        result.afterCommit().catch((err) => routeLogger.warn({ error: err }, `Clean-up after ${action} failed`));
+      }
+
+      res.set("ETag", artisanEtag(revision));
+      res.status(result.statusCode || 200).json({ ...result.body, revision });
+    } catch (err) {
+      if (transactionStarted) {
+        try {
+          await dbAsync.run("ROLLBACK");
+        } catch (rollbackErr) {
+          routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+        }
+      }
+      routeLogger.error({ error: err }, `Error during ${action}`);
+      res.status(err.statusCode || 500).json({ error: err.message, ...err.conflict });
+    }
+  };
+
+  /**
+   * list/add/update/remove handlers for one nested resource (trainings,
+   * loans, machines). Writes keep the other rows and their ids.
+   */
+  const buildChildRecordHandlers = (resource) => {
+    const { label, rules } = artisanChildRecords.getDefinition(resource);
+    const idParam = `${label}Id`;
+    const title = `${label[0].toUpperCase()}${label.slice(1)}`;
+    const writeChildRecord = (req, res, action, write) =>
+      writeArtisanChild(req, res, { action, idParam, notFound: `${title} not found` }, write);
+
+    return {
+      async list(req, res) {
+        const routeLogger = logger.child({
+          route: "artisans",
+          handler: `list_${resource}`,
+        });
+        routeLogger.info({ id: req.params.id }, `Received list ${resource} request`);
+        try {
+          if (!(await entityOps.isArtisanVisible(req.params.id))) {
+            return res.status(404).json({ message: "Artisan not found" });
+          }
+          res.json(await artisanChildRecords.list(resource, req.params.id));
+        } catch (err) {
+          routeLogger.error({ error: err, id: req.params.id }, `Error fetching ${resource}`);
+          res.status(500).json({ error: err.message });
+        }
+      },
+
+      add: [
+        ensureOwnArtisan(),
+        rules(false),
+        (req, res) =>
+          writeChildRecord(req, res, `add_${label}`, async (artisanId) => ({
+            statusCode: 201,
+            body: await artisanChildRecords.add(resource, artisanId, req.body, req.user.id),
+          })),
+      ],
+
+      update: [
+        ensureOwnArtisan(),
+        rules(true),
+        (req, res) =>
+          writeChildRecord(req, res, `update_${label}`, async (artisanId) => {
+            const row = await artisanChildRecords.update(
+              resource,
+              artisanId,
+              req.params[idParam],
+              req.body
+            );
+            return row ? { body: row } : null;
+          }),
+      ],
+
+      remove: [
+        ensureOwnArtisan(),
+        (req, res) =>
+          writeChildRecord(req, res, `remove_${label}`, async (artisanId) =>
+            (await artisanChildRecords.remove(resource, artisanId, req.params[idParam]))
+              ? {
+                  body: {
+                    id: parseInt(req.params[idParam]),
+                    message: `${title} removed successfully`,
+                  },
+                }
+              : null
+          ),
+      ],
+    };
+  };
+
+  const childRecordHandlers = {
+    trainings: buildChildRecordHandlers("trainings"),
+    loans: buildChildRecordHandlers("loans"),
+    machines: buildChildRecordHandlers("machines"),
+  };
+
+  /**
+   * list/add/update/reorder/remove handlers for one image set (product_images,
+   * shop_images). Files of a removed image are deleted only once its row is.
+   */
+  const buildImageHandlers = (resource) => {
+    const { label, field } = artisanImages.getDefinition(resource);
+    const idParam = "imageId";
+    const title = `${label[0].toUpperCase()}${label.slice(1)}`;
+    const writeImage = (req, res, action, write) =>
+      writeArtisanChild(req, res, { action, idParam, notFound: `${title} not found` }, write);
+    const action = (verb) => `${verb}_${label.replace(" ", "_")}`;
+
+    return {
+      async list(req, res) {
+        const routeLogger = logger.child({
+          route: "artisans",
+          handler: `list_${resource}`,
+        });
+        routeLogger.info({ id: req.params.id }, `Received list ${resource} request`);
+        try {
+          if (!(await entityOps.isArtisanVisible(req.params.id))) {
+            return res.status(404).json({ message: "Artisan not found" });
+          }
+          res.json(await artisanImages.list(resource, req.params.id));
+        } catch (err) {
+          routeLogger.error({ error: err, id: req.params.id }, `Error fetching ${resource}`);
+          res.status(500).json({ error: err.message });
+        }
+      },
+
+      add: [
+        ensureOwnArtisan(),
+        upload.fields([{ name: field, maxCount: 5 }]),
+        processUploadedImages,
+        artisanImages.addRules(),
+        async (req, res) => {
+          const keys = (req.files?.[field] || []).map((file) => file.key);
+          if (keys.length === 0) {
+            return res.status(400).json({
+              status: "error",
+              statusCode: 400,
+              message: `Upload at least one image in the ${field} field`,
+            });
+          }
+          await writeImage(req, res, action("add"), async (artisanId) => ({
+            statusCode: 201,
+            body: { images: await artisanImages.add(resource, artisanId, keys, req.body.captions) },
+          }));
+          // Nothing refers to the stored files when the write did not go through
+          if (res.statusCode >= 400) {
+            await discardUploads(req);
+          }
+        },
+      ],
+
+      update: [
+        ensureOwnArtisan(),
+        artisanImages.updateRules(),
+        (req, res) =>
+          writeImage(req, res, action("update"), async (artisanId) => {
+            const image = await artisanImages.update(resource, artisanId, req.params[idParam], req.body);
+            return image ? { body: image } : null;
+          }),
+      ],
+
+      reorder: [
+        ensureOwnArtisan(),
+        artisanImages.reorderRules(),
+        (req, res) =>
+          writeImage(req, res, action("reorder"), async (artisanId) => ({
+            body: { images: await artisanImages.reorder(resource, artisanId, req.body.ids) },
+          })),
+      ],
+
+      remove: [
+        ensureOwnArtisan(),
+        (req, res) =>
+          writeImage(req, res, action("remove"), async (artisanId) => {
+            const imagePath = await artisanImages.remove(resource, artisanId, req.params[idParam]);
+            return imagePath === null
+              ? null
+              : {
+                  body: {
+                    id: parseInt(req.params[idParam]),
+                    message: `${title} removed successfully`,
+                  },
+                  afterCommit: () => removeImage(imagePath),
+                };
+          }),
+      ],
+    };
+  };
+
+  const imageHandlers = {
+    product_images: buildImageHandlers("product_images"),
+    shop_images: buildImageHandlers("shop_images"),
+  };
 
   // Route handlers
   const handlers = {
@@ -971,6 +1750,8 @@ module.exports = (dependencies) => {
         { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
         { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
       ]),
+      processUploadedImages,
+      assignArtisanOwner,
       validateArtisanData,
       async (req, res) => {
         const routeLogger = logger.child({
@@ -999,13 +1780,14 @@ module.exports = (dependencies) => {
               errors: errors.array(),
             })}\n\n`
           );
+          await discardUploads(req);
           return res.status(500).end();
         }
         try {
           const { artisan, trainings, loans, machines } = req.body;
           const profilePicturePath = req.files
             ? req.files["profile_picture"]
-              ? req.files["profile_picture"][0].path
+              ? req.files["profile_picture"][0].key
               : null
             : "test";
 
@@ -1016,9 +1798,18 @@ module.exports = (dependencies) => {
             { profilePicturePath: profilePicturePath },
             "profilePicturePath"
           );
+          const duplicates = await findCreateDuplicates(req, artisan);
+          if (duplicates.length > 0) {
+            routeLogger.warn({ duplicates: duplicates.map((d) => d.id) }, "Possible duplicate artisan");
+            // The client resends the photos with ?allowDuplicates=true, so these copies would be orphaned
+            await discardUploads(req);
+            res.write(`data: ${JSON.stringify(duplicateWarning(duplicates))}\n\n`);
+            return res.status(409).end();
+          }
           const artisanId = await entityOps.createArtisan(
             artisan,
-            profilePicturePath
+            profilePicturePath,
+            artisanVerification.initialStatus(req.user, { draft: isDraftRequest(req) })
           );
           routeLogger.info({ artisanId }, "Artisan created successfully");
 
@@ -1055,6 +1846,10 @@ module.exports = (dependencies) => {
           );
           routeLogger.info("Shop images created successfully");
 
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "create" });
+          await artisanVersions.save(req, artisanId, "create");
+          await queueDuplicates(artisanId, routeLogger);
+
           res.write(
             `data: ${JSON.stringify({
               status: "complete",
@@ -1091,6 +1886,8 @@ module.exports = (dependencies) => {
         { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
         { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
       ]),
+      processUploadedImages,
+      assignArtisanOwner,
       validateArtisanData,
       async (req, res) => {
         const routeLogger = logger.child({
@@ -1103,6 +1900,7 @@ module.exports = (dependencies) => {
         );
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
+          await discardUploads(req);
           return res.status(500).json({
             status: "error",
             statusCode: 400,
@@ -1117,7 +1915,7 @@ module.exports = (dependencies) => {
           const { artisan, trainings, loans, machines } = req.body;
           const profilePicturePath = req.files
             ? req.files["profile_picture"]
-              ? req.files["profile_picture"][0].path
+              ? req.files["profile_picture"][0].key
               : null
             : "test";
 
@@ -1128,9 +1926,16 @@ module.exports = (dependencies) => {
             { profilePicturePath: profilePicturePath },
             "profilePicturePath"
           );
+          const duplicates = await findCreateDuplicates(req, artisan);
+          if (duplicates.length > 0) {
+            routeLogger.warn({ duplicates: duplicates.map((d) => d.id) }, "Possible duplicate artisan");
+            await discardUploads(req);
+            return res.status(409).json(duplicateWarning(duplicates));
+          }
           const artisanId = await entityOps.createArtisan(
             artisan,
-            profilePicturePath
+            profilePicturePath,
+            artisanVerification.initialStatus(req.user, { draft: isDraftRequest(req) })
           );
           routeLogger.info({ artisanId }, "Artisan created successfully");
 
@@ -1166,6 +1971,11 @@ module.exports = (dependencies) => {
             shopImages
           );
           routeLogger.info("Shop images created successfully");
+
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "create" });
+          await artisanVersions.save(req, artisanId, "create");
+          await queueDuplicates(artisanId, routeLogger);
+
           return res.status(200).json({
             status: "success",
             statusCode: 200,
@@ -1198,99 +2008,420 @@ module.exports = (dependencies) => {
       });
       routeLogger.info("Received get all artisans request");
       try {
-        const artisans = await entityOps.getAllArtisans(req.query);
-        res.json(artisans);
+        const { rows, total, page, limit } = await entityOps.getAllArtisans(req.query);
+        setPaginationHeaders(req, res, { total, page, limit });
+        res.json(rows.map(withFileUrls));
       } catch (err) {
-        routeLogger.error({ error: err }, "Error fetching artisans");
-        res.status(500).json({ error: err.message });
+        const statusCode = err.statusCode || 500;
+        if (statusCode >= 500) {
+          routeLogger.error({ error: err }, "Error fetching artisans");
+        }
+        res.status(statusCode).json({ error: err.message });
       }
     },
 
-    // Get a single artisan by ID
-    async getOne(req, res) {
+    // Full-text search, best match first
+    async search(req, res) {
       const routeLogger = logger.child({
         route: "artisans",
-        handler: "getOne",
+        handler: "search",
       });
-      routeLogger.info(
-        { id: req.params.id },
-        "Received get artisan by id request"
-      );
+      routeLogger.info({ query: req.query }, "Received search artisans request");
+      if (!artisanSearch.buildMatchQuery(req.query.q)) {
+        return res.status(400).json({ error: "q must contain at least one letter or digit" });
+      }
       try {
-        const artisan = await entityOps.getArtisanById(req.params.id);
-        if (!artisan) {
-          routeLogger.warn({ id: req.params.id }, "Artisan not found");
-          return res.status(404).json({ message: "Artisan not found" });
-        }
-        res.json(artisan);
+        const { rows, total, page, limit } = await entityOps.searchArtisans(req.query);
+        setPaginationHeaders(req, res, { total, page, limit });
+        res.json(rows.map(withFileUrls));
       } catch (err) {
-        routeLogger.error(
-          { error: err, id: req.params.id },
-          "Error fetching artisan"
-        );
-        res.status(500).json({ error: err.message });
+        const statusCode = err.statusCode || 500;
+        if (statusCode >= 500) {
+          routeLogger.error({ error: err }, "Error searching artisans");
+        }
+        res.status(statusCode).json({ error: err.message });
       }
     },
 
-    // Update an artisan and related data
-    update: [
-      // 1. Middleware for handling file uploads
-      upload.fields([
-        { name: "profile_picture", maxCount: 1 },
-        { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
-        { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
-      ]),
-      // 2. Parse the specific stringified fields into objects/arrays
-      parseJsonFields(['artisan', 'trainings', 'loans', 'machines']),
-
-      // 3. Validation middleware
-      validateUpdateArtisanData,
+    // Artisans around a point or inside a box, nearest first
+    async findNearby(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "findNearby",
+      });
+      routeLogger.info({ query: req.query }, "Received nearby artisans request");
+      try {
+        const { rows, total, page, limit } = await entityOps.findArtisansNearby(req.query);
+        setPaginationHeaders(req, res, { total, page, limit });
+        res.json(rows.map(withFileUrls));
+      } catch (err) {
+        const statusCode = err.statusCode || 500;
+        if (statusCode >= 500) {
+          routeLogger.error({ error: err }, "Error finding nearby artisans");
+        }
+        res.status(statusCode).json({ error: err.message });
+      }
+    },
 
-      // 4. Main Handler Function
+    // Validate a spreadsheet of artisans and, unless it is a dry run, create the valid rows
+    importArtisans: [
+      importUpload.single("file"),
       async (req, res) => {
-        const artisanId = req.params.id; // Get ID from route parameters
         const routeLogger = logger.child({
           route: "artisans",
-          handler: "update",
-          artisanId: artisanId,
+          handler: "importArtisans",
         });
-
+        const dryRun = ["true", "1"].includes(String(req.query.dryRun ?? req.body.dryRun));
         routeLogger.info(
-          { body: req.body, files: req.files },
-          "Received update artisan request (post-parsing)" // Log after parsing
+          { file: req.file && req.file.originalname, dryRun },
+          "Received import artisans request"
         );
-
-        // --- SSE Headers Removed ---
-
-        // Validation check performed by middleware, but double check here
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-          routeLogger.warn({ errors: errors.array() }, "Validation failed");
-          // Standard JSON error response for validation
-          return res.status(400).json({
-            status: "error",
-            statusCode: 400,
-            message: errors.array().map((error) => error.msg).join(", "),
-            errors: errors.array(),
-          });
+        if (!req.file) {
+          return res.status(400).json({ error: "A .csv or .xlsx file is required in 'file'" });
         }
 
-        // Start transaction
         let transactionStarted = false;
         try {
-          await dbAsync.run("BEGIN TRANSACTION");
-          transactionStarted = true;
-          routeLogger.info("Database transaction started.");
+          const { headers, rows } = await prepareImport(req.file, {
+            validators: validateArtisanData,
+            geoScope: getUserGeoScope(req.user),
+          });
+          const validRows = rows.filter((row) => row.errors.length === 0);
+
+          if (!dryRun && validRows.length > 0) {
+            await dbAsync.run("BEGIN TRANSACTION");
+            transactionStarted = true;
+            for (const row of validRows) {
+              row.artisan.user_Id = req.user.id;
+              // No photo comes with a spreadsheet row; the column is NOT NULL
+              row.artisanId = await entityOps.createArtisan(
+                row.artisan,
+                "",
+                artisanVerification.initialStatus(req.user)
+              );
+              await auditLog.record(req, { entity: "artisans", id: row.artisanId, action: "import" });
+              await artisanVersions.save(req, row.artisanId, "import");
+            }
+            await dbAsync.run("COMMIT");
+            routeLogger.info({ imported: validRows.length }, "Artisans imported");
+          }
 
-          // Now artisan, trainings etc are objects/arrays due to parseJsonFields middleware
-          const { artisan, trainings, loans, machines } = req.body;
-          let profilePicturePath = undefined;
+          res.status(!dryRun && validRows.length > 0 ? 201 : 200).json({
+            dryRun,
+            columns: headers,
+            totalRows: rows.length,
+            validRows: validRows.length,
+            invalidRows: rows.length - validRows.length,
+            imported: dryRun ? 0 : validRows.length,
+            rows: rows.map(({ row, artisan, errors, artisanId }) => ({
+              row,
+              status: errors.length > 0 ? "invalid" : dryRun ? "valid" : "imported",
+              ...(artisanId ? { id: artisanId } : {}),
+              name: artisan.name,
+              cnic: artisan.cnic,
+              errors,
+            })),
+          });
+
+          // Large imports would hold the response for a scan per row; queue duplicates afterwards
+          if (!dryRun) {
+            for (const row of validRows) await queueDuplicates(row.artisanId, routeLogger);
+          }
+        } catch (err) {
+          if (transactionStarted) {
+            try {
+              await dbAsync.run("ROLLBACK");
+            } catch (rollbackErr) {
+              routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+            }
+          }
+          const statusCode = err.statusCode || 500;
+          routeLogger.error({ error: err }, "Error importing artisans");
+          res.status(statusCode).json({ error: err.message });
+        }
+      },
+    ],
+
+    // Upsert a batch of artisans recorded offline by a mobile enumerator
+    async syncArtisans(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "syncArtisans",
+      });
+      const records = req.body && req.body.artisans;
+      routeLogger.info(
+        { count: Array.isArray(records) ? records.length : 0 },
+        "Received sync artisans request"
+      );
+      if (!Array.isArray(records) || records.length === 0) {
+        return res.status(400).json({ error: "Body must contain a non-empty 'artisans' array" });
+      }
+      if (records.length > MAX_SYNC_BATCH) {
+        return res
+          .status(400)
+          .json({ error: `A sync batch may contain at most ${MAX_SYNC_BATCH} artisans` });
+      }
+
+      try {
+        const results = [];
+        for (const record of records) {
+          results.push(await syncArtisanRecord(req, record));
+        }
+        const failedCount = results.filter((result) => result.status === "error").length;
+        routeLogger.info(
+          { synced: results.length - failedCount, failed: failedCount },
+          "Artisan sync batch processed"
+        );
+        res.json({ results });
+      } catch (err) {
+        routeLogger.error({ error: err }, "Error syncing artisans");
+        res.status(500).json({ error: err.message });
+      }
+    },
+
+    // Attach photos to an artisan created through sync
+    syncArtisanImages: [
+      ensureOwnArtisan(async (req) => {
+        const artisan = await entityOps.getArtisanByClientUuid(req.params.clientUuid);
+        return artisan && artisan.id;
+      }),
+      // Resolve the artisan before any file is stored
+      async (req, res, next) => {
+        try {
+          req.syncArtisan = await entityOps.getArtisanByClientUuid(req.params.clientUuid);
+          if (!req.syncArtisan || !(await entityOps.isArtisanVisible(req.syncArtisan.id))) {
+            return res.status(404).json({ message: "Artisan not found" });
+          }
+          next();
+        } catch (err) {
+          next(err);
+        }
+      },
+      upload.fields([
+        { name: "profile_picture", maxCount: 1 },
+        { name: "product_images", maxCount: 5 },
+        { name: "shop_images", maxCount: 5 },
+      ]),
+      processUploadedImages,
+      async (req, res) => {
+        const artisanId = req.syncArtisan.id;
+        const routeLogger = logger.child({
+          route: "artisans",
+          handler: "syncArtisanImages",
+          artisanId,
+        });
+        routeLogger.info({ files: req.files }, "Received sync artisan images request");
+
+        let transactionStarted = false;
+        try {
+          await dbAsync.run("BEGIN TRANSACTION");
+          transactionStarted = true;
+
+          const before = await auditLog.snapshot("artisans", artisanId);
+          const profilePicturePath = req.files?.["profile_picture"]?.[0]?.key;
+          let previousProfilePicture = null;
+          if (profilePicturePath) {
+            ({ profile_picture: previousProfilePicture } = await dbAsync.get(
+              "SELECT profile_picture FROM artisans WHERE id = ?",
+              [artisanId]
+            ));
+            await entityOps.updateArtisan(artisanId, {}, profilePicturePath);
+          }
+          const productImages = await entityOps.createSyncedImages(
+            "product_images",
+            artisanId,
+            req.files?.["product_images"]
+          );
+          const shopImages = await entityOps.createSyncedImages(
+            "shop_images",
+            artisanId,
+            req.files?.["shop_images"]
+          );
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "update", before });
+          await artisanVersions.save(req, artisanId, "update", before);
+
+          await dbAsync.run("COMMIT");
+          transactionStarted = false;
+
+          // Files no row refers to any more: the replaced profile picture and copies of photos already synced
+          const unused = [previousProfilePicture, ...productImages.duplicates, ...shopImages.duplicates];
+          Promise.all(unused.filter(Boolean).map((stored) => removeImage(stored))).catch((error) => {
+            routeLogger.warn({ error }, "Could not remove unused images");
+          });
+
+          res.status(201).json({
+            id: artisanId,
+            client_uuid: req.params.clientUuid,
+            profilePicturePath: profilePicturePath || null,
+            productImagesPaths: productImages.keys,
+            shopImagesPaths: shopImages.keys,
+          });
+        } catch (err) {
+          if (transactionStarted) {
+            try {
+              await dbAsync.run("ROLLBACK");
+            } catch (rollbackErr) {
+              routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+            }
+          }
+          await discardUploads(req);
+          routeLogger.error({ error: err }, "Error saving synced artisan images");
+          res.status(500).json({ error: err.message });
+        }
+      },
+    ],
+
+    // Stream the artisans matching the GET /artisans filters as CSV or XLSX
+    async exportArtisans(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "exportArtisans",
+      });
+      routeLogger.info({ query: req.query }, "Received export artisans request");
+
+      const format = String(req.query.format || "csv").toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res
+          .status(400)
+          .json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+      }
+      const { columns, error } = parseExportColumns(req.query.columns);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      try {
+        const { query, params } = entityOps.buildArtisanQuery(req.query);
+        await streamArtisanExport(res, { format, columns, filterQuery: query, params });
+        routeLogger.info({ format }, "Artisan export completed");
+      } catch (err) {
+        routeLogger.error({ error: err }, "Error exporting artisans");
+        if (!res.headersSent) {
+          return res.status(500).json({ error: err.message });
+        }
+        // Part of the file is already out; drop the connection so it isn't mistaken for complete
+        res.destroy(err);
+      }
+    },
+
+    // Get a single artisan by ID
+    async getOne(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "getOne",
+      });
+      routeLogger.info(
+        { id: req.params.id },
+        "Received get artisan by id request"
+      );
+      try {
+        const artisan = await entityOps.getArtisanById(req.params.id);
+        if (!artisan) {
+          // Links to a merged duplicate lead to the artisan it was merged into
+          const mergedInto = await artisanMerge.resolveMergedId(req.params.id);
+          if (mergedInto && (await entityOps.isArtisanVisible(mergedInto))) {
+            return res
+              .status(301)
+              .location(`/artisans/${mergedInto}`)
+              .json({ message: "Artisan was merged into another record", mergedInto });
+          }
+          routeLogger.warn({ id: req.params.id }, "Artisan not found");
+          return res.status(404).json({ message: "Artisan not found" });
+        }
+        res.set("ETag", artisanEtag(artisan.revision));
+        res.json(artisan);
+      } catch (err) {
+        routeLogger.error(
+          { error: err, id: req.params.id },
+          "Error fetching artisan"
+        );
+        res.status(500).json({ error: err.message });
+      }
+    },
+
+    // Update an artisan and related data
+    update: [
+      // 0. Enumerators may only edit their own artisans (checked before any file is stored)
+      ensureOwnArtisan(),
+
+      // 1. Middleware for handling file uploads
+      upload.fields([
+        { name: "profile_picture", maxCount: 1 },
+        { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
+        { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
+      ]),
+      processUploadedImages,
+      // 2. Parse the specific stringified fields into objects/arrays
+      parseJsonFields(['artisan', 'trainings', 'loans', 'machines']),
+      keepArtisanOwner,
+
+      // 3. Validation middleware
+      validateUpdateArtisanData,
+
+      // 4. Main Handler Function
+      async (req, res) => {
+        const artisanId = req.params.id; // Get ID from route parameters
+        const routeLogger = logger.child({
+          route: "artisans",
+          handler: "update",
+          artisanId: artisanId,
+        });
+
+        routeLogger.info(
+          { body: req.body, files: req.files },
+          "Received update artisan request (post-parsing)" // Log after parsing
+        );
+
+        // --- SSE Headers Removed ---
+
+        // Validation check performed by middleware, but double check here
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          routeLogger.warn({ errors: errors.array() }, "Validation failed");
+          await discardUploads(req);
+          // Standard JSON error response for validation
+          return res.status(400).json({
+            status: "error",
+            statusCode: 400,
+            message: errors.array().map((error) => error.msg).join(", "),
+            errors: errors.array(),
+          });
+        }
+
+        const expectedRevision = parseIfMatch(req.get("If-Match"));
+        if (Number.isNaN(expectedRevision)) {
+          await discardUploads(req);
+          return res.status(400).json({
+            status: "error",
+            statusCode: 400,
+            message: "If-Match must be an ETag returned by GET /artisans/:id",
+          });
+        }
+
+        // Start transaction
+        let transactionStarted = false;
+        let committed = false;
+        try {
+          if (!(await entityOps.isArtisanVisible(artisanId))) {
+            await discardUploads(req);
+            return res.status(404).json({ message: "Artisan not found" });
+          }
+          await dbAsync.run("BEGIN TRANSACTION");
+          transactionStarted = true;
+          routeLogger.info("Database transaction started.");
+
+          // Now artisan, trainings etc are objects/arrays due to parseJsonFields middleware
+          const { artisan, trainings, loans, machines } = req.body;
+
+          await assertRevision(artisanId, expectedRevision, { ...artisan, trainings, loans, machines });
+          const before = await auditLog.snapshot("artisans", artisanId);
+          let profilePicturePath = undefined;
           let productImagesPaths = [];
           let shopImagesPaths = [];
 
           // Check if a new profile picture was uploaded
           if (req.files?.["profile_picture"]?.[0]) {
-            profilePicturePath = req.files["profile_picture"][0].path;
+            profilePicturePath = req.files["profile_picture"][0].key;
             routeLogger.info({ profilePicturePath }, "New profile picture uploaded.");
             // Optional: Add logic here to delete the old profile picture file if needed
           }
@@ -1374,17 +2505,29 @@ module.exports = (dependencies) => {
              routeLogger.info("No new shop image files provided for update.");
            }
   */
+          await reverifyAfterEdit(req, artisanId);
+
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "update", before });
+          await artisanVersions.save(req, artisanId, "update", before);
+
+          const revision = await entityOps.getArtisanRevision(artisanId);
+
           // Commit transaction
           await dbAsync.run("COMMIT");
+          transactionStarted = false;
+          committed = true;
           routeLogger.info("Database transaction committed.");
+          await queueDuplicates(artisanId, routeLogger);
 
           // --- Removed res.write ---
 
           // Standard JSON success response
+          res.set("ETag", artisanEtag(revision));
           return res.status(200).json({
             status: "complete",
             statusCode: 200,
             id: artisanId,
+            revision,
             message: "Artisan and related data updated successfully",
             profilePicturePath: profilePicturePath, // Path of the *new* profile picture if uploaded
             productImagesPaths: productImagesPaths, // Paths of *newly created* product images
@@ -1403,6 +2546,8 @@ module.exports = (dependencies) => {
               routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
             }
           }
+          // Nothing was saved, so the uploaded photos (e.g. on a 409 conflict) are not needed
+          if (!committed) await discardUploads(req);
 
           const statusCode = err.statusCode || 500;
           // Log the detailed error
@@ -1423,6 +2568,7 @@ module.exports = (dependencies) => {
             message: err.message || "An internal server error occurred during update.",
             // Avoid sending detailed stack in production JSON response for security
             error: process.env.NODE_ENV === "development" ? { message: err.message } : { message: "An internal server error occurred." },
+            ...err.conflict, // revision, current and changes on 409
           });
           // --- Removed res.status(statusCode).end() ---
         }
@@ -1439,13 +2585,36 @@ module.exports = (dependencies) => {
         { id: req.params.id },
         "Received delete artisan request"
       );
+      const expectedRevision = parseIfMatch(req.get("If-Match"));
+      if (Number.isNaN(expectedRevision)) {
+        return res
+          .status(400)
+          .json({ message: "If-Match must be an ETag returned by GET /artisans/:id" });
+      }
       try {
-        const { changes } = await entityOps.softDeleteArtisan(req.params.id);
-
-        if (changes === 0) {
+        if (!(await entityOps.isArtisanVisible(req.params.id))) {
           routeLogger.warn({ id: req.params.id }, "Artisan not found");
           return res.status(404).json({ message: "Artisan not found" });
         }
+        const before = await auditLog.snapshot("artisans", req.params.id);
+        const { changes } = await entityOps.softDeleteArtisan(req.params.id, expectedRevision);
+
+        if (changes === 0) {
+          const revision = await entityOps.getArtisanRevision(req.params.id);
+          if (revision === null) {
+            routeLogger.warn({ id: req.params.id }, "Artisan not found");
+            return res.status(404).json({ message: "Artisan not found" });
+          }
+          routeLogger.warn({ id: req.params.id, expectedRevision, revision }, "Delete conflict");
+          return res.status(409).json({
+            message: "Artisan was changed by someone else; reload it before deleting",
+            revision,
+            current: await auditLog.snapshot("artisans", req.params.id),
+          });
+        }
+
+        await auditLog.record(req, { entity: "artisans", id: req.params.id, action: "delete", before });
+        await artisanVersions.save(req, req.params.id, "delete", before);
 
         res.json({ message: "Artisan deleted successfully" });
       } catch (err) {
@@ -1457,107 +2626,425 @@ module.exports = (dependencies) => {
       }
     },
 
-    async updateProductImage(req, res) {
-      const { image_path } = req.body;
-      const newImagePath = req.file.path;
+    updateProductImage: (req, res) =>
+      replaceImage(req, res, { table: "product_images", handler: "updateProductImage", title: "Product image" }),
+
+    updateShopImage: (req, res) =>
+      replaceImage(req, res, { table: "shop_images", handler: "updateShopImage", title: "Shop image" }),
+
+    async listVersions(req, res) {
       const routeLogger = logger.child({
         route: "artisans",
-        handler: "updateProductImage",
-        imagePath: image_path,
+        handler: "listVersions",
+        artisanId: req.params.id,
       });
-      routeLogger.info("Received update product image request");
+      routeLogger.info("Received list artisan versions request");
       try {
-        await entityOps.updateProductImage(image_path, newImagePath);
-        res.json({ message: "Product image updated successfully" });
+        if (!(await entityOps.isArtisanVisible(req.params.id))) {
+          return res.status(404).json({ message: "Artisan not found" });
+        }
+        res.json(await artisanVersions.list(req.params.id));
       } catch (err) {
-        routeLogger.error(
-          { error: err, imagePath: image_path },
-          "Error updating product image"
-        );
+        routeLogger.error({ error: err }, "Error listing artisan versions");
         res.status(500).json({ error: err.message });
       }
     },
 
-    async updateShopImage(req, res) {
-      const { image_path } = req.body;
-      const newImagePath = req.file.path;
+    async getVersion(req, res) {
       const routeLogger = logger.child({
         route: "artisans",
-        handler: "updateShopImage",
-        imagePath: image_path,
+        handler: "getVersion",
+        artisanId: req.params.id,
+        version: req.params.version,
       });
-      routeLogger.info("Received update shop image request");
+      routeLogger.info("Received get artisan version request");
       try {
-        await entityOps.updateShopImage(image_path, newImagePath);
-        res.json({ message: "Shop image updated successfully" });
+        const version = (await entityOps.isArtisanVisible(req.params.id))
+          ? await artisanVersions.get(req.params.id, req.params.version)
+          : null;
+        if (!version) {
+          return res.status(404).json({ message: "Version not found" });
+        }
+        res.json(version);
       } catch (err) {
-        routeLogger.error(
-          { error: err, imagePath: image_path },
-          "Error updating shop image"
-        );
+        routeLogger.error({ error: err }, "Error fetching artisan version");
         res.status(500).json({ error: err.message });
       }
     },
-  };
 
-  // Routes
-  /**
-   * @swagger
-   * /artisans:
-   *   post:
-   *     summary: Create a new artisan
-   *     requestBody:
-   *       required: true
-   *       content:
-   *         multipart/form-data:
-   *           schema:
-   *             type: object
-   *             properties:
-   *               artisan[name]:
-   *                 type: string
-   *                 description: Artisan's name
-   *                 example: John Doe
-   *               artisan[father_name]:
-   *                 type: string
-   *                 description: Artisan's father's name
-   *                 example: James Doe
-   *               artisan[cnic]:
-   *                 type: string
-   *                 description: Artisan's CNIC number
-   *                 example: "1124262292216"
-   *               artisan[gender]:
-   *                 type: string
-   *                 description: Artisan's gender
-   *                 example: Male
-   *               artisan[date_of_birth]:
-   *                 type: string
-   *                 description: Artisan's date of birth
-   *                 example: "1990-01-01"
-   *               artisan[contact_no]:
-   *                 type: string
-   *                 description: Artisan's contact number
-   *                 example: "12345678901"
-   *               artisan[email]:
-   *                 type: string
-   *                 description: Artisan's email
-   *                 example: john@example.com
-   *               artisan[address]:
-   *                 type: string
-   *                 description: Artisan's address
-   *                 example: "123 Street"
-   *               artisan[tehsil_id]:
-   *                 type: integer
-   *                 description: Artisan's tehsil ID
-   *                 example: 134
-   *               artisan[education_level_id]:
-   *                 type: integer
-   *                 description: Artisan's education level ID
-   *                 example: 1
-   *               artisan[dependents_count]:
-   *                 type: integer
-   *                 description: Number of dependents
-   *                 example: 2
-   *               artisan[has_training]:
+    // Diff two versions, or a version against the current record when `to` is omitted
+    async diffVersions(req, res) {
+      const { from, to } = req.query;
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "diffVersions",
+        artisanId: req.params.id,
+      });
+      routeLogger.info({ from, to }, "Received diff artisan versions request");
+      if (!from) {
+        return res.status(400).json({ message: "Query parameter 'from' is required" });
+      }
+      try {
+        if (!(await entityOps.isArtisanVisible(req.params.id))) {
+          return res.status(404).json({ message: "Artisan not found" });
+        }
+        const fromVersion = await artisanVersions.get(req.params.id, from);
+        const toVersion = to ? await artisanVersions.get(req.params.id, to) : null;
+        if (!fromVersion || (to && !toVersion)) {
+          return res.status(404).json({ message: "Version not found" });
+        }
+        const toSnapshot = toVersion
+          ? toVersion.snapshot
+          : await auditLog.snapshot("artisans", req.params.id);
+
+        res.json({
+          from: fromVersion.version,
+          to: toVersion ? toVersion.version : "current",
+          changes: auditLog.diffRecords(fromVersion.snapshot, toSnapshot),
+        });
+      } catch (err) {
+        routeLogger.error({ error: err }, "Error diffing artisan versions");
+        res.status(500).json({ error: err.message });
+      }
+    },
+
+    restoreVersion: [
+      ensureOwnArtisan(),
+      async (req, res) => {
+        const artisanId = req.params.id;
+        const routeLogger = logger.child({
+          route: "artisans",
+          handler: "restoreVersion",
+          artisanId,
+          version: req.params.version,
+        });
+        routeLogger.info("Received restore artisan version request");
+
+        let transactionStarted = false;
+        try {
+          // Deleted and merged artisans come back through the trash, never through a version
+          if (
+            !(await entityOps.isArtisanVisible(artisanId)) ||
+            (await artisanVerification.getStatus(artisanId)) === null
+          ) {
+            return res.status(404).json({ message: "Artisan not found" });
+          }
+          const version = await artisanVersions.get(artisanId, req.params.version);
+          if (!version) {
+            return res.status(404).json({ message: "Version not found" });
+          }
+
+          await dbAsync.run("BEGIN TRANSACTION");
+          transactionStarted = true;
+
+          const before = await auditLog.snapshot("artisans", artisanId);
+          const { missingImages, removedImages } = await artisanVersions.restore(artisanId, version);
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "restore", before });
+          const newVersion = await artisanVersions.save(req, artisanId, "restore", before);
+
+          await dbAsync.run("COMMIT");
+          transactionStarted = false;
+          routeLogger.info({ newVersion, missingImages }, "Artisan restored");
+          Promise.all(removedImages.map((imagePath) => removeImage(imagePath))).catch((err) =>
+            routeLogger.warn({ error: err }, "Clean-up after restore failed")
+          );
+
+          res.json({
+            id: parseInt(artisanId),
+            restoredVersion: version.version,
+            version: newVersion,
+            missingImages,
+            message: "Artisan restored successfully",
+          });
+        } catch (err) {
+          if (transactionStarted) {
+            try {
+              await dbAsync.run("ROLLBACK");
+            } catch (rollbackErr) {
+              routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+            }
+          }
+          routeLogger.error({ error: err }, "Error restoring artisan version");
+          // e.g. the old CNIC now belongs to another artisan
+          const statusCode = err.statusCode || (err.code === "SQLITE_CONSTRAINT" ? 409 : 500);
+          res.status(statusCode).json({ error: err.message });
+        }
+      },
+    ],
+
+    // Fold a duplicate artisan (victim) into the one that is kept (survivor)
+    async mergeArtisans(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "mergeArtisans",
+      });
+      const { survivor_id: survivorInput, victim_id: victimInput, fields } = req.body || {};
+      routeLogger.info({ survivorInput, victimInput, fields }, "Received merge artisans request");
+
+      const survivorId = parseInt(survivorInput, 10);
+      const victimId = parseInt(victimInput, 10);
+      const errors = [];
+      if (!Number.isInteger(survivorId) || !Number.isInteger(victimId)) {
+        errors.push("survivor_id and victim_id must be artisan ids");
+      } else if (survivorId === victimId) {
+        errors.push("survivor_id and victim_id must be different artisans");
+      }
+      const expectedRevision = parseIfMatch(req.get("If-Match"));
+      if (Number.isNaN(expectedRevision)) {
+        errors.push("If-Match must be the survivor's ETag");
+      }
+
+      let transactionStarted = false;
+      try {
+        errors.push(...(await artisanMerge.validateFieldWinners(fields)));
+        if (errors.length > 0) {
+          return res.status(400).json({ message: errors.join(", "), errors });
+        }
+
+        for (const id of [survivorId, victimId]) {
+          const artisan = await dbAsync.get(
+            "SELECT id FROM artisansView WHERE id = ? AND isActive = 1",
+            [id]
+          );
+          if (!artisan) {
+            return res.status(404).json({ message: `Artisan ${id} not found` });
+          }
+        }
+
+        await dbAsync.run("BEGIN TRANSACTION");
+        transactionStarted = true;
+
+        await assertRevision(survivorId, expectedRevision, {});
+        const survivorBefore = await auditLog.snapshot("artisans", survivorId);
+        const victimBefore = await auditLog.snapshot("artisans", victimId);
+
+        const taken = await artisanMerge.merge(survivorId, victimId, fields);
+        await artisanDuplicates.resolveMerged(survivorId, victimId, req.user.id);
+
+        await auditLog.record(req, { entity: "artisans", id: survivorId, action: "merge", before: survivorBefore });
+        await auditLog.record(req, { entity: "artisans", id: victimId, action: "merged", before: victimBefore });
+        await artisanVersions.save(req, survivorId, "merge", survivorBefore);
+        await artisanVersions.save(req, victimId, "merged", victimBefore);
+        const revision = await entityOps.getArtisanRevision(survivorId);
+
+        await dbAsync.run("COMMIT");
+        routeLogger.info({ survivorId, victimId, taken }, "Artisans merged");
+        await queueDuplicates(survivorId, routeLogger);
+
+        res.set("ETag", artisanEtag(revision));
+        res.json({
+          id: survivorId,
+          mergedId: victimId,
+          fieldsFromVictim: taken,
+          revision,
+          message: "Artisans merged successfully",
+        });
+      } catch (err) {
+        if (transactionStarted) {
+          try {
+            await dbAsync.run("ROLLBACK");
+          } catch (rollbackErr) {
+            routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+          }
+        }
+        routeLogger.error({ error: err }, "Error merging artisans");
+        const statusCode = err.statusCode || 500;
+        res.status(statusCode).json({ message: err.message, ...err.conflict });
+      }
+    },
+
+    // Likely duplicates of an artisan among those the caller can see
+    async findDuplicates(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "findDuplicates",
+      });
+      routeLogger.info({ id: req.params.id }, "Received find duplicates request");
+      try {
+        const artisan = await dbAsync.get(
+          "SELECT * FROM artisansView WHERE id = ? AND isActive = 1",
+          [req.params.id]
+        );
+        if (!artisan) {
+          return res.status(404).json({ message: "Artisan not found" });
+        }
+        const duplicates = await artisanDuplicates.findCandidates(artisan, {
+          excludeId: artisan.id,
+        });
+        res.json({ id: artisan.id, threshold: artisanDuplicates.DUPLICATE_THRESHOLD, duplicates });
+      } catch (err) {
+        routeLogger.error({ error: err, id: req.params.id }, "Error finding duplicates");
+        res.status(500).json({ error: err.message });
+      }
+    },
+
+    // Suspected duplicate pairs awaiting (or given) a decision
+    async listDuplicateReviews(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "listDuplicateReviews",
+      });
+      routeLogger.info({ query: req.query }, "Received duplicate review queue request");
+      const status = req.query.status || "pending";
+      if (!artisanDuplicates.REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${artisanDuplicates.REVIEW_STATUSES.join(", ")}`,
+        });
+      }
+      try {
+        res.json(await artisanDuplicates.listReviews({ status, limit: req.query.limit }));
+      } catch (err) {
+        routeLogger.error({ error: err }, "Error fetching duplicate review queue");
+        res.status(500).json({ error: err.message });
+      }
+    },
+
+    // Record the reviewer's decision on a suspected duplicate pair
+    async reviewDuplicate(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "reviewDuplicate",
+      });
+      const { status } = req.body || {};
+      routeLogger.info({ id: req.params.reviewId, status }, "Received duplicate review");
+      if (!artisanDuplicates.REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${artisanDuplicates.REVIEW_STATUSES.join(", ")}`,
+        });
+      }
+      try {
+        const review = await artisanDuplicates.getReview(req.params.reviewId);
+        if (
+          !review ||
+          !((await entityOps.isArtisanVisible(review.artisan_id)) ||
+            (await entityOps.isArtisanVisible(review.duplicate_id)))
+        ) {
+          return res.status(404).json({ message: "Duplicate review not found" });
+        }
+        await artisanDuplicates.setReviewStatus(review.id, status, req.user.id);
+        res.json({ ...(await artisanDuplicates.getReview(review.id)), message: "Review saved" });
+      } catch (err) {
+        routeLogger.error({ error: err, id: req.params.reviewId }, "Error saving duplicate review");
+        res.status(500).json({ error: err.message });
+      }
+    },
+
+    // Hand a draft or corrected artisan to the supervisors for verification
+    submitArtisan: [
+      ensureOwnArtisan(),
+      async (req, res) => {
+        await changeVerificationStatus(req, res, "submitted", "submit");
+      },
+    ],
+
+    // Supervisor decision: verified, rejected or needs_correction (with a comment)
+    async reviewArtisan(req, res) {
+      const { status, comment } = req.body || {};
+      if (!artisanVerification.REVIEW_DECISIONS.includes(status)) {
+        return res.status(400).json({
+          error: `status must be one of: ${artisanVerification.REVIEW_DECISIONS.join(", ")}`,
+        });
+      }
+      if (
+        artisanVerification.COMMENT_REQUIRED.includes(status) &&
+        !(typeof comment === "string" && comment.trim())
+      ) {
+        return res.status(400).json({ error: "A comment is required when rejecting or sending back an artisan" });
+      }
+      await changeVerificationStatus(req, res, status, REVIEW_ACTIONS[status]);
+    },
+
+    // Status changes of an artisan with the reviewers' comments, newest first
+    async listArtisanReviews(req, res) {
+      const routeLogger = logger.child({
+        route: "artisans",
+        handler: "listArtisanReviews",
+      });
+      routeLogger.info({ id: req.params.id }, "Received list artisan reviews request");
+      try {
+        if (!(await entityOps.isArtisanVisible(req.params.id))) {
+          return res.status(404).json({ message: "Artisan not found" });
+        }
+        res.json(await artisanVerification.listReviews(req.params.id));
+      } catch (err) {
+        routeLogger.error({ error: err, id: req.params.id }, "Error fetching artisan reviews");
+        res.status(500).json({ error: err.message });
+      }
+    },
+  };
+
+  // Routes
+  /**
+   * @swagger
+   * /artisans:
+   *   post:
+   *     summary: Create a new artisan
+   *     description: >
+   *       Artisans registered by enumerators start as `submitted` and wait for a
+   *       supervisor's review; supervisors' and admins' own registrations are `verified`.
+   *     parameters:
+   *       - in: query
+   *         name: draft
+   *         description: Save as a draft that is not yet submitted for verification
+   *         schema:
+   *           type: boolean
+   *       - in: query
+   *         name: allowDuplicates
+   *         description: Create the artisan even though likely duplicates were found
+   *         schema:
+   *           type: boolean
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               artisan[name]:
+   *                 type: string
+   *                 description: Artisan's name
+   *                 example: John Doe
+   *               artisan[father_name]:
+   *                 type: string
+   *                 description: Artisan's father's name
+   *                 example: James Doe
+   *               artisan[cnic]:
+   *                 type: string
+   *                 description: Artisan's CNIC number
+   *                 example: "1124262292216"
+   *               artisan[gender]:
+   *                 type: string
+   *                 description: Artisan's gender
+   *                 example: Male
+   *               artisan[date_of_birth]:
+   *                 type: string
+   *                 description: Artisan's date of birth
+   *                 example: "1990-01-01"
+   *               artisan[contact_no]:
+   *                 type: string
+   *                 description: Artisan's contact number
+   *                 example: "0300-1234567"
+   *               artisan[email]:
+   *                 type: string
+   *                 description: Artisan's email
+   *                 example: john@example.com
+   *               artisan[address]:
+   *                 type: string
+   *                 description: Artisan's address
+   *                 example: "123 Street"
+   *               artisan[tehsil_id]:
+   *                 type: integer
+   *                 description: Artisan's tehsil ID
+   *                 example: 134
+   *               artisan[education_level_id]:
+   *                 type: integer
+   *                 description: Artisan's education level ID
+   *                 example: 1
+   *               artisan[dependents_count]:
+   *                 type: integer
+   *                 description: Number of dependents
+   *                 example: 2
+   *               artisan[has_training]:
    *                 type: boolean
    *                 description: Whether the artisan has had training
    *                 example: true
@@ -1718,80 +3205,515 @@ module.exports = (dependencies) => {
    *         description: Artisan created successfully
    *       400:
    *         description: Invalid request data
+   *       409:
+   *         description: Likely duplicates of existing artisans were found (listed in `duplicates`); nothing was created
    *       500:
    *         description: Internal server error
    */
-  router.post("/artisans", handlers.create);
+  router.post("/artisans", auth.authenticate, handlers.create);
 
-  router.post("/save-artisan", handlers.createStatic);
+  router.post("/save-artisan", auth.authenticate, handlers.createStatic);
 
   /**
    * @swagger
-   * /artisans:
-   *   get:
-   *     summary: Get all artisans
+   * /artisans/import:
+   *   post:
+   *     summary: Bulk import artisans from a CSV or Excel file
+   *     description: >
+   *       Columns may use the export headers (e.g. "Father Name", "Skill", "Tehsil")
+   *       or the field keys. Craft, category, skill, education, district and tehsil
+   *       are matched by name. Every row is validated and checked for duplicate
+   *       CNICs; valid rows are created in one transaction unless dryRun is set.
+   *       Trainings, loans, machines and photos are added afterwards per artisan.
+   *     parameters:
+   *       - in: query
+   *         name: dryRun
+   *         description: Only validate and report, nothing is saved
+   *         schema:
+   *           type: boolean
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               file:
+   *                 type: string
+   *                 format: binary
    *     responses:
    *       200:
-   *         description: Successful operation
-   *       500:
-   *         description: Internal server error
+   *         description: Dry-run or nothing to import; per-row report
+   *       201:
+   *         description: Valid rows imported; per-row report
+   *       400:
+   *         description: Missing, unreadable or oversized file
    */
-  router.get("/artisans", handlers.getAll);
+  router.post("/artisans/import", auth.authenticate, handlers.importArtisans);
+
   /**
    * @swagger
-   * /artisans/{id}:
-   *   get:
-   *     summary: Get an artisan by ID
-   *     parameters:
-   *       - in: path
-   *         name: id
-   *         required: true
-   *         description: ID of the artisan to retrieve
-   *         schema:
-   *           type: integer
+   * /sync/artisans:
+   *   post:
+   *     summary: Upload a batch of artisans recorded offline
+   *     description: >
+   *       Each record is created, or updated when its client_uuid was synced
+   *       before, in its own transaction. Photos are sent separately to
+   *       /sync/artisans/{clientUuid}/images.
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               artisans:
+   *                 type: array
+   *                 maxItems: 100
+   *                 items:
+   *                   type: object
+   *                   properties:
+   *                     client_uuid:
+   *                       type: string
+   *                       format: uuid
+   *                     revision:
+   *                       type: integer
+   *                       description: Revision the device last pulled; a newer server revision is reported as a conflict
+   *                     artisan:
+   *                       type: object
+   *                     trainings:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                     loans:
+   *                       type: array
+   *                       items:
+   *                         type: object
+   *                     machines:
+   *                       type: array
+   *                       items:
+   *                         type: object
    *     responses:
    *       200:
-   *         description: Successful operation
-   *       404:
-   *         description: Artisan not found
-   *       500:
-   *         description: Internal server error
+   *         description: >
+   *           Per-record results with status created, updated, conflict or error, the server id,
+   *           the new revision and errors. Conflicts also carry the `current` server state and
+   *           the conflicting `changes`
+   *       400:
+   *         description: Missing or oversized batch
    */
-  router.get("/artisans/:id", handlers.getOne);
+  router.post("/sync/artisans", auth.authenticate, handlers.syncArtisans);
   /**
    * @swagger
-   * /artisans/{id}:
-   *   put:
-   *     summary: Update an existing artisan
+   * /sync/artisans/{clientUuid}/images:
+   *   post:
+   *     summary: Upload the photos of an artisan created through sync
+   *     description: >
+   *       A photo with the same file name as one already synced for the artisan is not added
+   *       again, so a device can safely retry an upload whose response it did not receive.
+   *       A new profile_picture replaces the previous one.
    *     parameters:
    *       - in: path
-   *         name: id
+   *         name: clientUuid
    *         required: true
-   *         description: ID of the artisan to update
    *         schema:
-   *           type: integer
+   *           type: string
+   *           format: uuid
    *     requestBody:
    *       required: true
    *       content:
-   *         application/json:
+   *         multipart/form-data:
    *           schema:
    *             type: object
    *             properties:
-   *               artisan[name]:
-   *                 type: string
-   *               artisan[father_name]:
-   *                 type: string
-   *               artisan[cnic]:
-   *                 type: string
-   *               artisan[gender]:
-   *                 type: string
-   *               artisan[date_of_birth]:
-   *                 type: string
-   *               artisan[contact_no]:
+   *               profile_picture:
    *                 type: string
-   *               artisan[dependents_count]:
-   *                 type: integer
-   *               artisan[has_training]:
+   *                 format: binary
+   *               product_images:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *               shop_images:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *     responses:
+   *       201:
+   *         description: Images stored
+   *       404:
+   *         description: No artisan synced with this client UUID
+   */
+  router.post(
+    "/sync/artisans/:clientUuid/images",
+    auth.authenticate,
+    handlers.syncArtisanImages
+  );
+
+  /**
+   * @swagger
+   * /artisans:
+   *   get:
+   *     summary: Get all artisans
+   *     description: >
+   *       Filtered artisan list. Pass `page` and/or `limit` to paginate; without
+   *       them every matching artisan is returned. `X-Total-Count` always holds
+   *       the number of matches and paginated responses carry a `Link` header.
+   *     parameters:
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *           maximum: 500
+   *       - in: query
+   *         name: sort
+   *         description: Comma separated columns, prefix with '-' for descending (e.g. district_name,-created_at)
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: verification_status
+   *         description: >
+   *           Comma separated statuses (draft, submitted, verified, rejected, needs_correction),
+   *           or "all". Only verified artisans are listed when it is left out, here and in
+   *           search, nearby and export.
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Successful operation
+   *         headers:
+   *           X-Total-Count:
+   *             description: Number of artisans matching the filters
+   *             schema:
+   *               type: integer
+   *       400:
+   *         description: Invalid page, limit or sort column
+   *       500:
+   *         description: Internal server error
+   */
+  router.get("/artisans", auth.authenticate, handlers.getAll);
+  /**
+   * @swagger
+   * /artisans/search:
+   *   get:
+   *     summary: Full-text search over artisans, best match first
+   *     description: >
+   *       Searches name, father name, CNIC, contact number, address, UC, major product,
+   *       raw material and comments. Every word must match, and words match as prefixes,
+   *       so "muham kh" finds "Muhammad Khan". The filters of GET /artisans still apply.
+   *       Each result has a `rank` (higher is better) and `highlights` with the matched
+   *       fields as HTML-escaped text, matching words wrapped in <mark>.
+   *     parameters:
+   *       - in: query
+   *         name: q
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           minimum: 1
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *           maximum: 500
+   *     responses:
+   *       200:
+   *         description: Matching artisans with rank and highlights
+   *         headers:
+   *           X-Total-Count:
+   *             description: Number of matching artisans
+   *             schema:
+   *               type: integer
+   *       400:
+   *         description: Empty query, or invalid page or limit
+   */
+  router.get("/artisans/search", auth.authenticate, handlers.search);
+  /**
+   * @swagger
+   * /artisans/geo:
+   *   get:
+   *     summary: Artisans within a radius, inside a bounding box, or nearest to a point
+   *     description: >
+   *       Give `lat` and `lon` with `radius_km` for a radius search, with `k` for the
+   *       k nearest artisans (capped by `radius_km` when both are given), or a `bbox`.
+   *       Results are ordered nearest first and carry `distance_km`, measured from
+   *       `lat`/`lon` or, for a bbox without them, from the centre of the box.
+   *       The filters of GET /artisans (craft, skill, gender, ...) still apply, and
+   *       artisans without coordinates are left out.
+   *     parameters:
+   *       - in: query
+   *         name: lat
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: lon
+   *         schema:
+   *           type: number
+   *       - in: query
+   *         name: radius_km
+   *         schema:
+   *           type: number
+   *           maximum: 500
+   *       - in: query
+   *         name: k
+   *         description: Number of nearest artisans to return; replaces page and limit
+   *         schema:
+   *           type: integer
+   *           maximum: 500
+   *       - in: query
+   *         name: bbox
+   *         description: minLon,minLat,maxLon,maxLat
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: page
+   *         schema:
+   *           type: integer
+   *           default: 1
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 50
+   *           maximum: 500
+   *     responses:
+   *       200:
+   *         description: Matching artisans with distance_km, nearest first
+   *         headers:
+   *           X-Total-Count:
+   *             description: Number of matching artisans
+   *             schema:
+   *               type: integer
+   *       400:
+   *         description: Missing or out of range coordinates, radius, k or bbox
+   */
+  router.get("/artisans/geo", auth.authenticate, handlers.findNearby);
+  /**
+   * @swagger
+   * /artisans/export:
+   *   get:
+   *     summary: Download the filtered artisan list as CSV or Excel
+   *     description: >
+   *       Accepts the same filters as GET /artisans. Rows are streamed in batches
+   *       and include summaries of each artisan's trainings, loans and machines.
+   *     parameters:
+   *       - in: query
+   *         name: format
+   *         schema:
+   *           type: string
+   *           enum: [csv, xlsx]
+   *           default: csv
+   *       - in: query
+   *         name: columns
+   *         description: Comma separated column keys to include, all columns by default
+   *         schema:
+   *           type: string
+   *     responses:
+   *       200:
+   *         description: Spreadsheet attachment
+   *       400:
+   *         description: Unknown format or column
+   */
+  router.get("/artisans/export", auth.authenticate, handlers.exportArtisans);
+  /**
+   * @swagger
+   * /artisans/duplicates:
+   *   get:
+   *     summary: Review queue of suspected duplicate artisans, highest score first
+   *     parameters:
+   *       - in: query
+   *         name: status
+   *         schema:
+   *           type: string
+   *           enum: [pending, confirmed, not_duplicate]
+   *           default: pending
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 100
+   *     responses:
+   *       200:
+   *         description: Artisan pairs with their score and the reasons they matched
+   *       400:
+   *         description: Unknown status
+   */
+  router.get("/artisans/duplicates", auth.authenticate, handlers.listDuplicateReviews);
+  /**
+   * @swagger
+   * /artisans/duplicates/{reviewId}:
+   *   patch:
+   *     summary: Mark a suspected duplicate pair as confirmed, not a duplicate, or pending again
+   *     parameters:
+   *       - in: path
+   *         name: reviewId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [pending, confirmed, not_duplicate]
+   *     responses:
+   *       200:
+   *         description: Review saved
+   *       400:
+   *         description: Unknown status
+   *       404:
+   *         description: Review not found
+   */
+  router.patch("/artisans/duplicates/:reviewId", auth.authenticate, handlers.reviewDuplicate);
+  /**
+   * @swagger
+   * /artisans/merge:
+   *   post:
+   *     summary: Merge a duplicate artisan (victim) into the record that is kept (survivor)
+   *     description: >
+   *       Fields come from the survivor unless `fields` picks the victim's value.
+   *       Trainings, loans, machines and images of the victim move to the survivor.
+   *       The victim is deactivated and GET /artisans/{victimId} answers 301 with
+   *       the survivor's location. Both artisans get a history entry.
+   *     parameters:
+   *       - in: header
+   *         name: If-Match
+   *         description: Survivor's ETag; the merge is refused if it changed since
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [survivor_id, victim_id]
+   *             properties:
+   *               survivor_id:
+   *                 type: integer
+   *               victim_id:
+   *                 type: integer
+   *               fields:
+   *                 type: object
+   *                 description: Per-field winner, e.g. {"contact_no":"victim"}
+   *                 additionalProperties:
+   *                   type: string
+   *                   enum: [survivor, victim]
+   *     responses:
+   *       200:
+   *         description: Artisans merged; returns the survivor id and its new revision
+   *       400:
+   *         description: Invalid ids or field choices
+   *       404:
+   *         description: Either artisan not found
+   *       409:
+   *         description: The survivor changed since the given ETag
+   */
+  router.post("/artisans/merge", auth.authenticate, handlers.mergeArtisans);
+
+  /**
+   * @swagger
+   * /artisans/{id}:
+   *   get:
+   *     summary: Get an artisan by ID
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: ID of the artisan to retrieve
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Successful operation; the ETag header carries the artisan's revision
+   *       301:
+   *         description: The artisan was merged; Location points at the artisan it was merged into
+   *       404:
+   *         description: Artisan not found
+   *       500:
+   *         description: Internal server error
+   */
+  router.get("/artisans/:id", auth.authenticate, handlers.getOne);
+  // Registered before PUT /artisans/:id, which would otherwise take these paths as an id
+  router.put(
+    "/artisans/product-image",
+    auth.authenticate,
+    upload.single("product_image"),
+    ensureOwnArtisan(async (req) => {
+      const image = await entityOps.findImage("product_images", req.body.image_path);
+      return image && image.artisan_id;
+    }),
+    processUploadedImages,
+    handlers.updateProductImage
+  );
+
+  router.put(
+    "/artisans/shop-image",
+    auth.authenticate,
+    upload.single("shop_image"),
+    ensureOwnArtisan(async (req) => {
+      const image = await entityOps.findImage("shop_images", req.body.image_path);
+      return image && image.artisan_id;
+    }),
+    processUploadedImages,
+    handlers.updateShopImage
+  );
+
+  /**
+   * @swagger
+   * /artisans/{id}:
+   *   put:
+   *     summary: Update an existing artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         description: ID of the artisan to update
+   *         schema:
+   *           type: integer
+   *       - in: header
+   *         name: If-Match
+   *         description: ETag from GET /artisans/{id}; the update is refused if the artisan changed since
+   *         schema:
+   *           type: string
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               artisan[name]:
+   *                 type: string
+   *               artisan[father_name]:
+   *                 type: string
+   *               artisan[cnic]:
+   *                 type: string
+   *               artisan[gender]:
+   *                 type: string
+   *               artisan[date_of_birth]:
+   *                 type: string
+   *               artisan[contact_no]:
+   *                 type: string
+   *               artisan[dependents_count]:
+   *                 type: integer
+   *               artisan[has_training]:
    *                 type: boolean
    *               business[employment_type]:
    *                 type: string
@@ -1846,15 +3768,17 @@ module.exports = (dependencies) => {
    *                 type: string
    *     responses:
    *       200:
-   *         description: Artisan updated successfully
+   *         description: Artisan updated successfully; the new ETag is returned in the header and as `revision`
    *       400:
    *         description: Invalid request data
    *       404:
    *         description: Artisan not found
+   *       409:
+   *         description: If-Match is stale; the body carries the current `revision`, the `current` state and the conflicting `changes`
    *       500:
    *         description: Internal server error
    */
-  router.put("/artisans/:id", handlers.update);
+  router.put("/artisans/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /artisans/{id}:
@@ -1867,27 +3791,911 @@ module.exports = (dependencies) => {
    *         description: ID of the artisan to delete
    *         schema:
    *           type: integer
+   *       - in: header
+   *         name: If-Match
+   *         description: ETag from GET /artisans/{id}; the delete is refused if the artisan changed since
+   *         schema:
+   *           type: string
    *     responses:
    *       200:
    *         description: Artisan deleted successfully
    *       404:
    *         description: Artisan not found
+   *       409:
+   *         description: If-Match is stale; the body carries the current revision and state
    *       500:
    *         description: Internal server error
    */
-  router.delete("/artisans/:id", handlers.remove);
-
-  router.put(
-    "/artisans/product-image",
-    upload.single("product_image"),
-    handlers.updateProductImage
-  );
+  router.delete("/artisans/:id", auth.authenticate, handlers.remove);
 
-  router.put(
-    "/artisans/shop-image",
-    upload.single("shop_image"),
-    handlers.updateShopImage
-  );
+  /**
+   * @swagger
+   * /artisans/{id}/versions:
+   *   get:
+   *     summary: List the saved versions of an artisan, newest first
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Version list without snapshots
+   *       404:
+   *         description: Artisan not found
+   */
+  router.get("/artisans/:id/versions", auth.authenticate, handlers.listVersions);
+  /**
+   * @swagger
+   * /artisans/{id}/versions/diff:
+   *   get:
+   *     summary: Diff two versions of an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: from
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: to
+   *         description: Defaults to the current record
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: "Field level diff as { field: { from, to } }"
+   *       404:
+   *         description: Artisan or version not found
+   */
+  router.get("/artisans/:id/versions/diff", auth.authenticate, handlers.diffVersions);
+  /**
+   * @swagger
+   * /artisans/{id}/versions/{version}:
+   *   get:
+   *     summary: Get one version of an artisan with its full snapshot
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Successful operation
+   *       404:
+   *         description: Version not found
+   */
+  router.get("/artisans/:id/versions/:version", auth.authenticate, handlers.getVersion);
+  /**
+   * @swagger
+   * /artisans/{id}/versions/{version}/restore:
+   *   post:
+   *     summary: Roll an artisan and its trainings, loans, machines and image lists back to a version
+   *     description: >
+   *       Rows keep their ids. Images whose file was deleted since that version are
+   *       not restored and are listed in `missingImages`; images added since are removed.
+   *       Deleted or merged artisans cannot be restored this way, nor can versions
+   *       saved before another artisan was merged into this one.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: version
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Artisan restored successfully
+   *       404:
+   *         description: Artisan or version not found
+   *       409:
+   *         description: >
+   *           The version conflicts with current data (e.g. a CNIC now used by another
+   *           artisan) or predates a merge
+   */
+  router.post(
+    "/artisans/:id/versions/:version/restore",
+    auth.authenticate,
+    handlers.restoreVersion
+  );
+  /**
+   * @swagger
+   * /artisans/{id}/duplicates:
+   *   get:
+   *     summary: Likely duplicates of an artisan
+   *     description: >
+   *       Scores other artisans on name and father name, CNIC typos, date of birth,
+   *       contact number and distance between their locations.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Candidates with a 0-100 score and the matching reasons, best first
+   *       404:
+   *         description: Artisan not found
+   */
+  router.get("/artisans/:id/duplicates", auth.authenticate, handlers.findDuplicates);
+  /**
+   * @swagger
+   * /artisans/{id}/submit:
+   *   post:
+   *     summary: Submit a draft or corrected artisan for verification
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               comment:
+   *                 type: string
+   *                 description: Optional note for the reviewer, e.g. what was corrected
+   *     responses:
+   *       200:
+   *         description: Artisan submitted
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: Only draft artisans and those needing correction can be submitted
+   */
+  router.post("/artisans/:id/submit", auth.authenticate, handlers.submitArtisan);
+  /**
+   * @swagger
+   * /artisans/{id}/review:
+   *   post:
+   *     summary: Verify, reject or send back a submitted artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [status]
+   *             properties:
+   *               status:
+   *                 type: string
+   *                 enum: [verified, rejected, needs_correction]
+   *               comment:
+   *                 type: string
+   *                 description: Required when rejecting or sending back
+   *     responses:
+   *       200:
+   *         description: Decision recorded; returns the previous and new status
+   *       400:
+   *         description: Unknown status or missing comment
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan's current status does not allow this decision
+   */
+  router.post("/artisans/:id/review", auth.authenticate, handlers.reviewArtisan);
+  /**
+   * @swagger
+   * /artisans/{id}/reviews:
+   *   get:
+   *     summary: Verification history of an artisan with reviewer comments, newest first
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Status changes with from_status, to_status, comment and reviewer
+   *       404:
+   *         description: Artisan not found
+   */
+  router.get("/artisans/:id/reviews", auth.authenticate, handlers.listArtisanReviews);
+  /**
+   * @swagger
+   * /artisans/{id}/trainings:
+   *   get:
+   *     summary: List the trainings of an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The artisan's trainings with their ids
+   *       404:
+   *         description: Artisan not found
+   *   post:
+   *     summary: Add a training to an artisan
+   *     description: Other trainings keep their ids. Send If-Match to reject the write when the artisan changed meanwhile.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [title, duration, organization]
+   *             properties:
+   *               title:
+   *                 type: string
+   *               duration:
+   *                 type: string
+   *               organization:
+   *                 type: string
+   *               date:
+   *                 type: string
+   *                 format: date
+   *     responses:
+   *       201:
+   *         description: The new training and the artisan's revision
+   *       400:
+   *         description: Missing fields or invalid values, such as a future date
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.get("/artisans/:id/trainings", auth.authenticate, childRecordHandlers.trainings.list);
+  router.post("/artisans/:id/trainings", auth.authenticate, childRecordHandlers.trainings.add);
+  /**
+   * @swagger
+   * /artisans/{id}/trainings/{trainingId}:
+   *   put:
+   *     summary: Edit one training of an artisan
+   *     description: Only the fields sent are changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: trainingId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               title:
+   *                 type: string
+   *               duration:
+   *                 type: string
+   *               organization:
+   *                 type: string
+   *               date:
+   *                 type: string
+   *                 format: date
+   *     responses:
+   *       200:
+   *         description: The updated training and the artisan's revision
+   *       400:
+   *         description: Invalid values
+   *       404:
+   *         description: Artisan or training not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   *   delete:
+   *     summary: Remove one training from an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: trainingId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Training removed
+   *       404:
+   *         description: Artisan or training not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/trainings/:trainingId", auth.authenticate, childRecordHandlers.trainings.update);
+  router.delete("/artisans/:id/trainings/:trainingId", auth.authenticate, childRecordHandlers.trainings.remove);
+  /**
+   * @swagger
+   * /artisans/{id}/loans:
+   *   get:
+   *     summary: List the loans of an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The artisan's loans with their ids
+   *       404:
+   *         description: Artisan not found
+   *   post:
+   *     summary: Add a loan to an artisan
+   *     description: Other loans keep their ids. Send If-Match to reject the write when the artisan changed meanwhile.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [amount, date]
+   *             properties:
+   *               amount:
+   *                 type: number
+   *                 minimum: 0
+   *                 exclusiveMinimum: true
+   *               date:
+   *                 type: string
+   *                 format: date
+   *               loan_type:
+   *                 type: string
+   *               name:
+   *                 type: string
+   *               subName:
+   *                 type: string
+   *     responses:
+   *       201:
+   *         description: The new loan and the artisan's revision
+   *       400:
+   *         description: Missing fields or invalid values, such as an amount of 0 or less, a future date
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.get("/artisans/:id/loans", auth.authenticate, childRecordHandlers.loans.list);
+  router.post("/artisans/:id/loans", auth.authenticate, childRecordHandlers.loans.add);
+  /**
+   * @swagger
+   * /artisans/{id}/loans/{loanId}:
+   *   put:
+   *     summary: Edit one loan of an artisan
+   *     description: Only the fields sent are changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: loanId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               amount:
+   *                 type: number
+   *                 minimum: 0
+   *                 exclusiveMinimum: true
+   *               date:
+   *                 type: string
+   *                 format: date
+   *               loan_type:
+   *                 type: string
+   *               name:
+   *                 type: string
+   *               subName:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: The updated loan and the artisan's revision
+   *       400:
+   *         description: Invalid values
+   *       404:
+   *         description: Artisan or loan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   *   delete:
+   *     summary: Remove one loan from an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: loanId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Loan removed
+   *       404:
+   *         description: Artisan or loan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/loans/:loanId", auth.authenticate, childRecordHandlers.loans.update);
+  router.delete("/artisans/:id/loans/:loanId", auth.authenticate, childRecordHandlers.loans.remove);
+  /**
+   * @swagger
+   * /artisans/{id}/machines:
+   *   get:
+   *     summary: List the machines of an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The artisan's machines with their ids
+   *       404:
+   *         description: Artisan not found
+   *   post:
+   *     summary: Add a machine to an artisan
+   *     description: Other machines keep their ids. Send If-Match to reject the write when the artisan changed meanwhile.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [title, size, number_of_machines]
+   *             properties:
+   *               title:
+   *                 type: string
+   *               size:
+   *                 type: string
+   *               number_of_machines:
+   *                 type: integer
+   *                 minimum: 0
+   *     responses:
+   *       201:
+   *         description: The new machine and the artisan's revision
+   *       400:
+   *         description: Missing fields or invalid values, such as a negative number_of_machines
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.get("/artisans/:id/machines", auth.authenticate, childRecordHandlers.machines.list);
+  router.post("/artisans/:id/machines", auth.authenticate, childRecordHandlers.machines.add);
+  /**
+   * @swagger
+   * /artisans/{id}/machines/{machineId}:
+   *   put:
+   *     summary: Edit one machine of an artisan
+   *     description: Only the fields sent are changed.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: machineId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               title:
+   *                 type: string
+   *               size:
+   *                 type: string
+   *               number_of_machines:
+   *                 type: integer
+   *                 minimum: 0
+   *     responses:
+   *       200:
+   *         description: The updated machine and the artisan's revision
+   *       400:
+   *         description: Invalid values
+   *       404:
+   *         description: Artisan or machine not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   *   delete:
+   *     summary: Remove one machine from an artisan
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: machineId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Machine removed
+   *       404:
+   *         description: Artisan or machine not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/machines/:machineId", auth.authenticate, childRecordHandlers.machines.update);
+  router.delete("/artisans/:id/machines/:machineId", auth.authenticate, childRecordHandlers.machines.remove);
+
+  /**
+   * @swagger
+   * /artisans/{id}/product-images:
+   *   get:
+   *     summary: List the product images of an artisan
+   *     description: Cover image first, then in display order.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The artisan's product images with their ids, URLs, variants, captions and cover flag
+   *       404:
+   *         description: Artisan not found
+   *   post:
+   *     summary: Upload more product images for an artisan
+   *     description: >
+   *       Up to 5 files per request and 20 per artisan, placed after the existing images.
+   *       Send If-Match to reject the write when the artisan changed meanwhile.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required: [product_images]
+   *             properties:
+   *               product_images:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *               captions:
+   *                 type: array
+   *                 description: Captions of the uploaded files, in the same order
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: The new images and the artisan's revision
+   *       400:
+   *         description: No image sent, a file that is not an image, or the artisan would have too many
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.get("/artisans/:id/product-images", auth.authenticate, imageHandlers.product_images.list);
+  router.post("/artisans/:id/product-images", auth.authenticate, imageHandlers.product_images.add);
+  /**
+   * @swagger
+   * /artisans/{id}/product-images/order:
+   *   put:
+   *     summary: Set the display order of an artisan's product images
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [ids]
+   *             properties:
+   *               ids:
+   *                 type: array
+   *                 description: Every image id of the artisan, in the order to show them
+   *                 items:
+   *                   type: integer
+   *     responses:
+   *       200:
+   *         description: The images in their new order and the artisan's revision
+   *       400:
+   *         description: ids does not list each of the artisan's images exactly once
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/product-images/order", auth.authenticate, imageHandlers.product_images.reorder);
+  /**
+   * @swagger
+   * /artisans/{id}/product-images/{imageId}:
+   *   put:
+   *     summary: Edit the caption, position or cover flag of one product image
+   *     description: Only the fields sent are changed. Making an image the cover unsets the previous cover.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               caption:
+   *                 type: string
+   *                 nullable: true
+   *               sort_order:
+   *                 type: integer
+   *                 minimum: 0
+   *               is_cover:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: The updated image and the artisan's revision
+   *       400:
+   *         description: Invalid values
+   *       404:
+   *         description: Artisan or image not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   *   delete:
+   *     summary: Remove one product image from an artisan
+   *     description: The file and its resized variants are deleted from storage too.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Product image removed
+   *       404:
+   *         description: Artisan or image not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/product-images/:imageId", auth.authenticate, imageHandlers.product_images.update);
+  router.delete("/artisans/:id/product-images/:imageId", auth.authenticate, imageHandlers.product_images.remove);
+
+  /**
+   * @swagger
+   * /artisans/{id}/shop-images:
+   *   get:
+   *     summary: List the shop images of an artisan
+   *     description: Cover image first, then in display order.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: The artisan's shop images with their ids, URLs, variants, captions and cover flag
+   *       404:
+   *         description: Artisan not found
+   *   post:
+   *     summary: Upload more shop images for an artisan
+   *     description: >
+   *       Up to 5 files per request and 20 per artisan, placed after the existing images.
+   *       Send If-Match to reject the write when the artisan changed meanwhile.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         multipart/form-data:
+   *           schema:
+   *             type: object
+   *             required: [shop_images]
+   *             properties:
+   *               shop_images:
+   *                 type: array
+   *                 items:
+   *                   type: string
+   *                   format: binary
+   *               captions:
+   *                 type: array
+   *                 description: Captions of the uploaded files, in the same order
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       201:
+   *         description: The new images and the artisan's revision
+   *       400:
+   *         description: No image sent, a file that is not an image, or the artisan would have too many
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.get("/artisans/:id/shop-images", auth.authenticate, imageHandlers.shop_images.list);
+  router.post("/artisans/:id/shop-images", auth.authenticate, imageHandlers.shop_images.add);
+  /**
+   * @swagger
+   * /artisans/{id}/shop-images/order:
+   *   put:
+   *     summary: Set the display order of an artisan's shop images
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             required: [ids]
+   *             properties:
+   *               ids:
+   *                 type: array
+   *                 description: Every image id of the artisan, in the order to show them
+   *                 items:
+   *                   type: integer
+   *     responses:
+   *       200:
+   *         description: The images in their new order and the artisan's revision
+   *       400:
+   *         description: ids does not list each of the artisan's images exactly once
+   *       404:
+   *         description: Artisan not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/shop-images/order", auth.authenticate, imageHandlers.shop_images.reorder);
+  /**
+   * @swagger
+   * /artisans/{id}/shop-images/{imageId}:
+   *   put:
+   *     summary: Edit the caption, position or cover flag of one shop image
+   *     description: Only the fields sent are changed. Making an image the cover unsets the previous cover.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               caption:
+   *                 type: string
+   *                 nullable: true
+   *               sort_order:
+   *                 type: integer
+   *                 minimum: 0
+   *               is_cover:
+   *                 type: boolean
+   *     responses:
+   *       200:
+   *         description: The updated image and the artisan's revision
+   *       400:
+   *         description: Invalid values
+   *       404:
+   *         description: Artisan or image not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   *   delete:
+   *     summary: Remove one shop image from an artisan
+   *     description: The file and its resized variants are deleted from storage too.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *       - in: path
+   *         name: imageId
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Shop image removed
+   *       404:
+   *         description: Artisan or image not found
+   *       409:
+   *         description: The artisan is no longer at the If-Match revision
+   */
+  router.put("/artisans/:id/shop-images/:imageId", auth.authenticate, imageHandlers.shop_images.update);
+  router.delete("/artisans/:id/shop-images/:imageId", auth.authenticate, imageHandlers.shop_images.remove);
 
   return router;
 };
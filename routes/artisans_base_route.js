@@ -1,52 +1,86 @@
 // artisans_base_route.js
 const fs = require('fs');
+const { AsyncResource } = require('async_hooks');
+const os = require('os');
 const multer = require('multer');
 const path = require('path');
 
-// Create the uploads directory if it doesn't exist
-if (!fs.existsSync('uploads')) {
-  fs.mkdirSync('uploads');
-}
+// Uploads are staged here until processUploadedImages puts them into storage (config/storage.js)
+const UPLOAD_TMP_DIR = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'artisan-uploads');
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
 const { body, validationResult } = require('express-validator');
 const { db } = require('../db');
+const { isRestrictedToOwnRecords } = require('../config/permissions');
+const { scopeArtisansView } = require('../config/geoScope');
 
 // Enhanced multer configuration with improved error handling
 const storage = multer.diskStorage({
-  destination: (_, __, cb) => cb(null, 'uploads/'),
+  destination: (_, __, cb) => cb(null, UPLOAD_TMP_DIR),
   filename: (_, file, cb) => {
     const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
     cb(null, `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`);
   }
 });
 
-const upload = multer({
+// Photos are shrunk after upload (config/imageProcessing.js), so full-size phone photos are accepted
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES, 10) || 15 * 1024 * 1024;
+
+/**
+ * multer calls next() from busboy's stream events, outside the request's async
+ * context, so anything kept in AsyncLocalStorage (the geo scope of
+ * config/geoScope.js, the request origin of config/publicUrl.js) would be gone
+ * for the middleware after an upload. Binding next() runs them in the context
+ * the upload started in.
+ */
+const keepRequestContext = (instance) => {
+  const wrap = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+  return {
+    single: (name) => wrap(instance.single(name)),
+    array: (name, maxCount) => wrap(instance.array(name, maxCount)),
+    fields: (fields) => wrap(instance.fields(fields)),
+    none: () => wrap(instance.none()),
+    any: () => wrap(instance.any()),
+  };
+};
+
+const upload = keepRequestContext(multer({
   storage,
-  limits: { fileSize: 500000 }, // 0.5MB limit
+  limits: { fileSize: UPLOAD_MAX_BYTES },
   fileFilter: (_, file, cb) =>
     file.mimetype.startsWith('image/')
       ? cb(null, true)
       : cb(new Error('Only image files are allowed!'), false)
-});
+}));
+
+// Spreadsheet uploads for bulk import are parsed in memory and never stored
+const importUpload = keepRequestContext(multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (_, file, cb) =>
+    /\.(csv|xlsx)$/i.test(file.originalname)
+      ? cb(null, true)
+      : cb(new Error('Only .csv and .xlsx files are allowed!'), false)
+}));
 
-// Database utility functions
+// Database utility functions (artisansView reads are limited to the caller's geo scope)
 const dbAsync = {
   run: (sql, params = []) =>
     new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
+      db.run(scopeArtisansView(sql), params, function (err) {
         err ? reject(err) : resolve({ lastID: this.lastID, changes: this.changes });
       });
     }),
 
   all: (sql, params = []) =>
     new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
+      db.all(scopeArtisansView(sql), params, (err, rows) => {
         err ? reject(err) : resolve(rows);
       });
     }),
 
   get: (sql, params = []) =>
     new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
+      db.get(scopeArtisansView(sql), params, (err, row) => {
         err ? reject(err) : resolve(row);
       });
     })
@@ -65,10 +99,80 @@ const executeTransaction = async (operations) => {
   }
 };
 
+// Ownership guard: enumerators may only edit artisans they registered themselves.
+// `resolveArtisanId` maps the request to the artisan being edited.
+const ensureOwnArtisan = (resolveArtisanId = (req) => req.params.id) =>
+  async (req, res, next) => {
+    if (!isRestrictedToOwnRecords(req.user)) return next();
+    try {
+      const artisanId = await resolveArtisanId(req);
+      const artisan = artisanId
+        ? await dbAsync.get('SELECT user_Id FROM artisans WHERE id = ?', [artisanId])
+        : null;
+      if (!artisan || Number(artisan.user_Id) !== req.user.id) {
+        return res.status(403).json({ error: 'You can only edit artisans you registered' });
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+// Stamps the authenticated user as the artisan's owner. Managers may still
+// assign another user explicitly; restricted users always own what they submit.
+const assignArtisanOwner = (req, res, next) => {
+  const artisan = req.body && req.body.artisan;
+  if (artisan && typeof artisan === 'object') {
+    if (isRestrictedToOwnRecords(req.user) || !artisan.user_Id) {
+      artisan.user_Id = req.user.id;
+    }
+  }
+  next();
+};
+
+// Update counterpart of assignArtisanOwner: an edit keeps the stored owner.
+// Only a manager naming a user explicitly reassigns the artisan.
+const keepArtisanOwner = (req, res, next) => {
+  const artisan = req.body && req.body.artisan;
+  if (artisan && typeof artisan === 'object') {
+    if (isRestrictedToOwnRecords(req.user) || !artisan.user_Id) {
+      delete artisan.user_Id;
+    }
+  }
+  next();
+};
+
+// Optimistic concurrency: artisans.revision (bumped by triggers on every write) is the ETag
+const artisanEtag = (revision) => `"${revision}"`;
+
+// Revision named by an If-Match header: null when absent or "*", NaN when malformed
+const parseIfMatch = (header) => {
+  if (!header || header.trim() === '*') return null;
+  const match = /^(?:W\/)?"?(\d+)"?$/.exec(header.split(',')[0].trim());
+  return match ? Number(match[1]) : NaN;
+};
+
+// Runs express-validator chains against a record outside a request (bulk import, sync)
+// and returns the error messages
+const runValidators = async (validators, body) => {
+  const recordRequest = { body };
+  for (const validator of validators) {
+    await validator.run(recordRequest);
+  }
+  return validationResult(recordRequest).array().map((error) => error.msg);
+};
+
 module.exports = {
   upload,
+  importUpload,
   dbAsync,
   executeTransaction,
+  ensureOwnArtisan,
+  assignArtisanOwner,
+  keepArtisanOwner,
+  runValidators,
+  artisanEtag,
+  parseIfMatch,
   body,
   validationResult
 };
\ No newline at end of file
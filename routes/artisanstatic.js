@@ -1,15 +1,26 @@
-const path = require("path");
 const express = require("express");
-const fs = require("fs");
 const router = express.Router();
 const {
   upload,
   dbAsync,
   executeTransaction,
+  ensureOwnArtisan,
+  assignArtisanOwner,
+  keepArtisanOwner,
   body,
   validationResult,
 } = require("./artisans_base_route.js");
+const { addVerificationStatusCondition } = require("./charts.js");
 const parseJsonFields = require('../config/parseJsonFields.js'); // Adjust path
+const { getGeoScope } = require("../config/geoScope");
+const auditLog = require("../config/auditLog.js");
+const artisanVersions = require("../config/artisanVersions.js");
+const { artisanIdentityRules } = require("../config/identityValidation.js");
+const artisanVerification = require("../config/artisanVerification.js");
+const { processUploadedImages, discardUploads } = require("../config/imageProcessing.js");
+const { queueDuplicates, findCreateDuplicates, duplicateWarning } = require("../config/artisanDuplicates.js");
+const { fileUrl } = require("../config/storage.js");
+const { ORDER: IMAGE_ORDER } = require("../config/artisanImages.js");
 
 // Validation middleware for create
 const validateArtisanData = [
@@ -18,18 +29,13 @@ const validateArtisanData = [
   body("artisan.father_name")
     .notEmpty()
     .withMessage("Father's name is required"),
-  body("artisan.cnic")
-    .isLength({ min: 15, max: 15 })
-    .withMessage("CNIC must be 15 digits with dashes"),
   body("artisan.gender")
     .isIn(["Male", "Female", "Trangender"])
     .withMessage("Invalid gender"),
   body("artisan.date_of_birth")
     .isISO8601()
     .withMessage("Invalid date of birth"),
-  body("artisan.contact_no")
-    .isLength({ min: 12, max: 12 })
-    .withMessage("Invalid phone number! Must be 12 digits with dashes"),
+  ...artisanIdentityRules(),
   /* body('artisan.skill_id').notEmpty().withMessage('Skill ID is required'),
   body('artisan.major_product').notEmpty().withMessage('Major product is required'),
   body('artisan.experience').optional().isInt({ min: 0 }).withMessage('Experience must be a non-negative integer'),
@@ -58,18 +64,13 @@ const validateUpdateArtisanData = [
   body("artisan.father_name")
     .notEmpty()
     .withMessage("Father's name is required"),
-  body("artisan.cnic")
-    .isLength({ min: 15, max: 15 })
-    .withMessage("CNIC must be 15 digits with dashes"),
   body("artisan.gender")
     .isIn(["Male", "Female", "Trangender"])
     .withMessage("Invalid gender"),
   body("artisan.date_of_birth")
     .isISO8601()
     .withMessage("Invalid date of birth"),
-  body("artisan.contact_no")
-    .isLength({ min: 12, max: 12 })
-    .withMessage("Invalid phone number! Must be 12 digits with dashes"),
+  ...artisanIdentityRules(),
   /* body('artisan.skill_id').notEmpty().withMessage('Skill ID is required'),
   body('artisan.major_product').notEmpty().withMessage('Major product is required'),
   body('artisan.experience').optional().isInt({ min: 0 }).withMessage('Experience must be a non-negative integer'),
@@ -93,15 +94,16 @@ const validateUpdateArtisanData = [
 
 // Entity operations
 const entityOps = {
-  async createArtisan(artisan, profilePicturePath) {
+  // verificationStatus comes from artisanVerification.initialStatus, never from the request body
+  async createArtisan(artisan, profilePicturePath, verificationStatus = "submitted") {
     const sql = `
       INSERT INTO artisans (
         name, father_name, cnic, gender, date_of_birth, contact_no, email, address,
         tehsil_id, education_level_id, dependents_count, crafting_method, profile_picture, ntn, skill_id, uc,
         major_product, experience, avg_monthly_income, employment_type_id, raw_material,
         loan_status, has_machinery, has_training, inherited_skills, financial_assistance, technical_assistance, comments, latitude,
-        longitude, user_Id
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        longitude, user_Id, verification_status
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
     const params = [
@@ -136,6 +138,7 @@ const entityOps = {
       artisan.latitude || null,
       artisan.longitude || null,
       artisan.user_Id || null,
+      verificationStatus,
     ];
 
     const { lastID } = await dbAsync.run(sql, params);
@@ -147,66 +150,34 @@ const entityOps = {
       return Promise.resolve([]);
     }
 
-    const productImagesDir = "uploads/product_images";
-    // Ensure the directory exists
-    if (!fs.existsSync(productImagesDir)) {
-      fs.mkdirSync(productImagesDir, { recursive: true });
-    }
-
-    const imagePaths = files.map((file) => {
-      const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-      const filename = `product_image-${uniqueSuffix}${path.extname(
-        file.originalname
-      )}`;
-      const filePath = path.join(productImagesDir, filename);
-
-      // Move the file to the destination directory
-      fs.renameSync(file.path, filePath);
-      return filePath;
-    });
-
-    const ops = imagePaths.map((imagePath) => {
+    // processUploadedImages has already put the files into storage
+    const imageKeys = files.map((file) => file.key);
+    const ops = imageKeys.map((imageKey) => {
       const sql = `
         INSERT INTO product_images (artisan_id, image_path)
         VALUES (?, ?)
       `;
-      return dbAsync.run(sql, [artisanId, imagePath]);
+      return dbAsync.run(sql, [artisanId, imageKey]);
     });
 
-    return Promise.all(ops).then(() => imagePaths);
+    return Promise.all(ops).then(() => imageKeys);
   },
   createShopImages(artisanId, files) {
     if (!files || files.length === 0) {
       return Promise.resolve([]);
     }
 
-    const shopImagesDir = "uploads/shop_images";
-    // Ensure the directory exists
-    if (!fs.existsSync(shopImagesDir)) {
-      fs.mkdirSync(shopImagesDir, { recursive: true });
-    }
-
-    const imagePaths = files.map((file) => {
-      const uniqueSuffix = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
-      const filename = `shop_image-${uniqueSuffix}${path.extname(
-        file.originalname
-      )}`;
-      const filePath = path.join(shopImagesDir, filename);
-
-      // Move the file to the destination directory
-      fs.renameSync(file.path, filePath);
-      return filePath;
-    });
-
-    const ops = imagePaths.map((imagePath) => {
+    // processUploadedImages has already put the files into storage
+    const imageKeys = files.map((file) => file.key);
+    const ops = imageKeys.map((imageKey) => {
       const sql = `
         INSERT INTO shop_images (artisan_id, image_path)
         VALUES (?, ?)
       `;
-      return dbAsync.run(sql, [artisanId, imagePath]);
+      return dbAsync.run(sql, [artisanId, imageKey]);
     });
 
-    return Promise.all(ops).then(() => imagePaths);
+    return Promise.all(ops).then(() => imageKeys);
   },
 
   createTrainings(artisanId, trainings = []) {
@@ -391,6 +362,7 @@ const entityOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
       // Add other new filters as needed
     } = filters;
 
@@ -502,6 +474,7 @@ const entityOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
 
     // Apply specific numerical range filter logic
@@ -677,7 +650,6 @@ const entityOps = {
             artisans.address,
             artisans.tehsil_id,
             artisans.profile_picture,
-            concat('https://artisan-psic.com/', artisans.profile_picture) AS profile_picture,
             division.name AS division_name,
             district.name AS district_name,
             tehsil.name AS tehsil_name,
@@ -738,8 +710,19 @@ const entityOps = {
       return null;
     }
 
+    // Callers limited to a geo scope only see artisans inside it
+    if (getGeoScope()) {
+      const inScope = await dbAsync.get(
+        "SELECT id FROM artisansView WHERE id = ?",
+        [id]
+      );
+      if (!inScope) {
+        return null;
+      }
+    }
+
     // Initialize the artisan object with main data
-    const artisan = { ...artisanRow };
+    const artisan = { ...artisanRow, profile_picture: fileUrl(artisanRow.profile_picture) };
 
     // Step 2: Query one-to-many related data concurrently
     const trainingsSql = `
@@ -774,16 +757,18 @@ const entityOps = {
 
     const productImagesSql = `
         SELECT
-            concat('https://artisan-psic.com/', image_path) AS product_image_path
+            image_path
         FROM product_images
         WHERE artisan_id = ?
+        ORDER BY ${IMAGE_ORDER}
     `;
 
     const shopImagesSql = `
         SELECT
-            concat('https://artisan-psic.com/', image_path) AS shop_image_path
+            image_path
         FROM shop_images
         WHERE artisan_id = ?
+        ORDER BY ${IMAGE_ORDER}
     `;
 
     // Execute all related queries concurrently for efficiency
@@ -807,12 +792,10 @@ const entityOps = {
       artisan.machines = machines;
     }
     if (productImages.length > 0) {
-      artisan.product_images = productImages.map(
-        (row) => row.product_image_path
-      );
+      artisan.product_images = productImages.map((row) => fileUrl(row.image_path));
     }
     if (shopImages.length > 0) {
-      artisan.shop_images = shopImages.map((row) => row.shop_image_path);
+      artisan.shop_images = shopImages.map((row) => fileUrl(row.image_path));
     }
 
     return artisan;
@@ -884,7 +867,7 @@ const entityOps = {
 };
 
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
 
   // Route handlers
   const handlers = {
@@ -895,6 +878,8 @@ module.exports = (dependencies) => {
         { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
         { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
       ]),
+      processUploadedImages,
+      assignArtisanOwner,
       validateArtisanData,
       async (req, res) => {
         const routeLogger = logger.child({
@@ -923,13 +908,14 @@ module.exports = (dependencies) => {
               errors: errors.array(),
             })}\n\n`
           );
+          await discardUploads(req);
           return res.status(500).end();
         }
         try {
           const { artisan, trainings, loans, machines } = req.body;
           const profilePicturePath = req.files
             ? req.files["profile_picture"]
-              ? req.files["profile_picture"][0].path
+              ? req.files["profile_picture"][0].key
               : null
             : "test";
 
@@ -940,9 +926,18 @@ module.exports = (dependencies) => {
             { profilePicturePath: profilePicturePath },
             "profilePicturePath"
           );
+          const duplicates = await findCreateDuplicates(req, artisan);
+          if (duplicates.length > 0) {
+            routeLogger.warn({ duplicates: duplicates.map((d) => d.id) }, "Possible duplicate artisan");
+            // The client resends the photos with ?allowDuplicates=true, so these copies would be orphaned
+            await discardUploads(req);
+            res.write(`data: ${JSON.stringify(duplicateWarning(duplicates))}\n\n`);
+            return res.status(409).end();
+          }
           const artisanId = await entityOps.createArtisan(
             artisan,
-            profilePicturePath
+            profilePicturePath,
+            artisanVerification.initialStatus(req.user)
           );
           routeLogger.info({ artisanId }, "Artisan created successfully");
 
@@ -979,6 +974,10 @@ module.exports = (dependencies) => {
           );
           routeLogger.info("Shop images created successfully");
 
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "create" });
+          await artisanVersions.save(req, artisanId, "create");
+          await queueDuplicates(artisanId, routeLogger);
+
           res.write(
             `data: ${JSON.stringify({
               status: "complete",
@@ -1015,6 +1014,8 @@ module.exports = (dependencies) => {
         { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
         { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
       ]),
+      processUploadedImages,
+      assignArtisanOwner,
       validateArtisanData,
       async (req, res) => {
         const routeLogger = logger.child({
@@ -1027,6 +1028,7 @@ module.exports = (dependencies) => {
         );
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
+          await discardUploads(req);
           return res.status(500).json({
             status: "error",
             statusCode: 400,
@@ -1041,7 +1043,7 @@ module.exports = (dependencies) => {
           const { artisan, trainings, loans, machines } = req.body;
           const profilePicturePath = req.files
             ? req.files["profile_picture"]
-              ? req.files["profile_picture"][0].path
+              ? req.files["profile_picture"][0].key
               : null
             : "test";
 
@@ -1052,9 +1054,16 @@ module.exports = (dependencies) => {
             { profilePicturePath: profilePicturePath },
             "profilePicturePath"
           );
+          const duplicates = await findCreateDuplicates(req, artisan);
+          if (duplicates.length > 0) {
+            routeLogger.warn({ duplicates: duplicates.map((d) => d.id) }, "Possible duplicate artisan");
+            await discardUploads(req);
+            return res.status(409).json(duplicateWarning(duplicates));
+          }
           const artisanId = await entityOps.createArtisan(
             artisan,
-            profilePicturePath
+            profilePicturePath,
+            artisanVerification.initialStatus(req.user)
           );
           routeLogger.info({ artisanId }, "Artisan created successfully");
 
@@ -1090,6 +1099,11 @@ module.exports = (dependencies) => {
             shopImages
           );
           routeLogger.info("Shop images created successfully");
+
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "create" });
+          await artisanVersions.save(req, artisanId, "create");
+          await queueDuplicates(artisanId, routeLogger);
+
           return res.status(200).json({
             status: "success",
             statusCode: 200,
@@ -1123,7 +1137,9 @@ module.exports = (dependencies) => {
       routeLogger.info("Received get all artisans request");
       try {
         const artisans = await entityOps.getAllArtisans(req.query);
-        res.json(artisans);
+        res.json(
+          artisans.map((artisan) => ({ ...artisan, profile_picture: fileUrl(artisan.profile_picture) }))
+        );
       } catch (err) {
         routeLogger.error({ error: err }, "Error fetching artisans");
         res.status(500).json({ error: err.message });
@@ -1158,14 +1174,19 @@ module.exports = (dependencies) => {
 
     // Update an artisan and related data
     update: [
+      // 0. Enumerators may only edit their own artisans (checked before any file is stored)
+      ensureOwnArtisan(),
+
       // 1. Middleware for handling file uploads
       upload.fields([
         { name: "profile_picture", maxCount: 1 },
         { name: "product_images", maxCount: 5 }, // Adjust maxCount as needed
         { name: "shop_images", maxCount: 5 }, // Adjust maxCount as needed
       ]),
+      processUploadedImages,
       // 2. Parse the specific stringified fields into objects/arrays
       parseJsonFields(['artisan', 'trainings', 'loans', 'machines']),
+      keepArtisanOwner,
 
       // 3. Validation middleware
       validateUpdateArtisanData,
@@ -1206,6 +1227,8 @@ module.exports = (dependencies) => {
           transactionStarted = true;
           routeLogger.info("Database transaction started.");
 
+          const before = await auditLog.snapshot("artisans", artisanId);
+
           // Now artisan, trainings etc are objects/arrays due to parseJsonFields middleware
           const { artisan, trainings, loans, machines } = req.body;
           let profilePicturePath = undefined;
@@ -1214,7 +1237,7 @@ module.exports = (dependencies) => {
 
           // Check if a new profile picture was uploaded
           if (req.files?.["profile_picture"]?.[0]) {
-            profilePicturePath = req.files["profile_picture"][0].path;
+            profilePicturePath = req.files["profile_picture"][0].key;
             routeLogger.info({ profilePicturePath }, "New profile picture uploaded.");
             // Optional: Add logic here to delete the old profile picture file if needed
           }
@@ -1298,6 +1321,9 @@ module.exports = (dependencies) => {
              routeLogger.info("No new shop image files provided for update.");
            }
   */
+          await auditLog.record(req, { entity: "artisans", id: artisanId, action: "update", before });
+          await artisanVersions.save(req, artisanId, "update", before);
+
           // Commit transaction
           await dbAsync.run("COMMIT");
           routeLogger.info("Database transaction committed.");
@@ -1364,6 +1390,7 @@ module.exports = (dependencies) => {
         "Received delete artisan request"
       );
       try {
+        const before = await auditLog.snapshot("artisans", req.params.id);
         const { changes } = await entityOps.softDeleteArtisan(req.params.id);
 
         if (changes === 0) {
@@ -1371,6 +1398,9 @@ module.exports = (dependencies) => {
           return res.status(404).json({ message: "Artisan not found" });
         }
 
+        await auditLog.record(req, { entity: "artisans", id: req.params.id, action: "delete", before });
+        await artisanVersions.save(req, req.params.id, "delete", before);
+
         res.json({ message: "Artisan deleted successfully" });
       } catch (err) {
         routeLogger.error(
@@ -1388,6 +1418,12 @@ module.exports = (dependencies) => {
    * /artisans:
    *   post:
    *     summary: Create a new artisan
+   *     parameters:
+   *       - in: query
+   *         name: allowDuplicates
+   *         description: Create the artisan even though likely duplicates were found
+   *         schema:
+   *           type: boolean
    *     requestBody:
    *       required: true
    *       content:
@@ -1418,7 +1454,7 @@ module.exports = (dependencies) => {
    *               artisan[contact_no]:
    *                 type: string
    *                 description: Artisan's contact number
-   *                 example: "12345678901"
+   *                 example: "0300-1234567"
    *               artisan[email]:
    *                 type: string
    *                 description: Artisan's email
@@ -1600,23 +1636,31 @@ module.exports = (dependencies) => {
    *         description: Artisan created successfully
    *       400:
    *         description: Invalid request data
+   *       409:
+   *         description: Likely duplicates of existing artisans were found (listed in `duplicates`); nothing was created
    *       500:
    *         description: Internal server error
    */
-  router.post("/artisanstatic", handlers.createStatic);
+  router.post("/artisanstatic", auth.authenticate, handlers.createStatic);
 
   /**
    * @swagger
    * /artisans:
    *   get:
    *     summary: Get all artisans
+   *     parameters:
+   *       - in: query
+   *         name: verification_status
+   *         description: Comma separated statuses, or "all"; only verified artisans when left out
+   *         schema:
+   *           type: string
    *     responses:
    *       200:
    *         description: Successful operation
    *       500:
    *         description: Internal server error
    */
-  router.get("/artisans", handlers.getAll);
+  router.get("/artisans", auth.authenticate, handlers.getAll);
   /**
    * @swagger
    * /artisans/{id}:
@@ -1637,7 +1681,7 @@ module.exports = (dependencies) => {
    *       500:
    *         description: Internal server error
    */
-  router.get("/artisans/:id", handlers.getOne);
+  router.get("/artisans/:id", auth.authenticate, handlers.getOne);
   /**
    * @swagger
    * /artisans/{id}:
@@ -1734,7 +1778,7 @@ module.exports = (dependencies) => {
    *       500:
    *         description: Internal server error
    */
-  router.put("/artisans/:id", handlers.update);
+  router.put("/artisans/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /artisans/{id}:
@@ -1755,7 +1799,7 @@ module.exports = (dependencies) => {
    *       500:
    *         description: Internal server error
    */
-  router.delete("/artisans/:id", handlers.remove);
+  router.delete("/artisans/:id", auth.authenticate, handlers.remove);
 
   return router;
 };
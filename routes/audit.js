@@ -0,0 +1,112 @@
+const express = require("express");
+const router = express.Router();
+const { dbAsync, createHandler } = require("./base_route.js");
+const { ENTITIES } = require("../config/auditLog.js");
+const { getGeoScope } = require("../config/geoScope");
+
+/**
+ * Audit log read operations
+ */
+const auditOps = {
+  getAll({ entity, id, actor, action, limit }) {
+    let query = "SELECT * FROM audit_log WHERE 1 = 1";
+    const params = [];
+
+    if (entity) {
+      query += " AND entity = ?";
+      params.push(entity);
+    }
+    if (id) {
+      query += " AND entity_id = ?";
+      params.push(id);
+    }
+    if (actor) {
+      query += " AND actor_id = ?";
+      params.push(actor);
+    }
+    if (action) {
+      query += " AND action = ?";
+      params.push(action);
+    }
+    // Geo-scoped callers only see the history of artisans inside their area
+    if (getGeoScope()) {
+      query +=
+        " AND (entity <> 'artisans' OR entity_id IN (SELECT id FROM artisansView))";
+    }
+
+    query += " ORDER BY id DESC LIMIT ?";
+    params.push(Math.min(parseInt(limit, 10) || 100, 1000));
+    return dbAsync.all(query, params);
+  },
+};
+
+/**
+ * Route handlers with REST-compliant responses
+ */
+module.exports = (dependencies) => {
+  const { logger, auth } = dependencies;
+  const handlers = {
+    // Browse the change history of an entity
+    getAll: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "audit", handler: "getAll" });
+      routeLogger.info({ query: req.query }, "Received get audit log request");
+
+      if (req.query.entity && !ENTITIES[req.query.entity]) {
+        return res.status(400).json({
+          error: `Unknown entity, expected one of: ${Object.keys(ENTITIES).join(", ")}`,
+        });
+      }
+
+      try {
+        const entries = await auditOps.getAll(req.query);
+        res.json(
+          entries.map((entry) => ({
+            ...entry,
+            changes: entry.changes ? JSON.parse(entry.changes) : {},
+          }))
+        );
+      } catch (error) {
+        routeLogger.error({ error }, "Error fetching audit log");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+  };
+  /**
+   * @swagger
+   * /audit:
+   *   get:
+   *     summary: Browse the audit trail, newest first
+   *     parameters:
+   *       - in: query
+   *         name: entity
+   *         description: Entity name, e.g. artisans, crafts or users
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: id
+   *         description: ID of the entity row
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: actor
+   *         description: ID of the user who made the change
+   *         schema:
+   *           type: integer
+   *       - in: query
+   *         name: action
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 100
+   *     responses:
+   *       200:
+   *         description: "Audit entries with a { field: { from, to } } diff in `changes`"
+   *       400:
+   *         description: Unknown entity
+   */
+  router.get("/audit", auth.authenticate, handlers.getAll);
+  return router;
+};
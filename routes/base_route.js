@@ -2,14 +2,16 @@
  * base_route.js
  */
 const { db } = require('../db');
+const { scopeArtisansView } = require('../config/geoScope');
 
 /**
- * Promisified database operations with improved error handling
+ * Promisified database operations with improved error handling.
+ * artisansView reads are limited to the caller's geo scope (config/geoScope.js).
  */
 const dbAsync = {
   run: (sql, params = []) =>
     new Promise((resolve, reject) => {
-      db.run(sql, params, function (err) {
+      db.run(scopeArtisansView(sql), params, function (err) {
         if (err) return reject(err);
         resolve({ lastID: this.lastID, changes: this.changes });
       });
@@ -17,7 +19,7 @@ const dbAsync = {
 
   all: (sql, params = []) =>
     new Promise((resolve, reject) => {
-      db.all(sql, params, (err, rows) => {
+      db.all(scopeArtisansView(sql), params, (err, rows) => {
         if (err) return reject(err);
         resolve(rows);
       });
@@ -25,7 +27,7 @@ const dbAsync = {
 
   get: (sql, params = []) =>
     new Promise((resolve, reject) => {
-      db.get(sql, params, (err, row) => {
+      db.get(scopeArtisansView(sql), params, (err, row) => {
         if (err) return reject(err);
         resolve(row);
       });
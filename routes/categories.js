@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { dbAsync, createHandler } = require("./base_route.js");
+const auditLog = require("../config/auditLog.js");
 
 /**
  * Category entity operations
@@ -46,7 +47,7 @@ const categoryOps = {
  * Route handlers
  */
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
   const handlers = {
     getAll: createHandler(async (req, res) => {
       const routeLogger = logger.child({
@@ -76,6 +77,7 @@ module.exports = (dependencies) => {
 
       try {
         const { lastID } = await categoryOps.create(req.body);
+        await auditLog.record(req, { entity: "categories", id: lastID, action: "create" });
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -111,6 +113,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("categories", req.params.id);
         const { changes } = await categoryOps.update(req.params.id, req.body);
 
         if (changes === 0) {
@@ -124,6 +127,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "categories", id: req.params.id, action: "update", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -159,6 +164,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("categories", req.params.id);
         const { changes } = await categoryOps.delete(req.params.id);
 
         if (changes === 0) {
@@ -172,6 +178,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "categories", id: req.params.id, action: "delete", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -202,7 +210,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Successful operation
    */
-  router.get("/categories", handlers.getAll);
+  router.get("/categories", auth.authenticate, handlers.getAll);
   /**
    * @swagger
    * /categories:
@@ -225,7 +233,7 @@ module.exports = (dependencies) => {
    *       201:
    *         description: Category created successfully
    */
-  router.post("/categories", handlers.create);
+  router.post("/categories", auth.authenticate, handlers.create);
   /**
    * @swagger
    * /categories/{id}:
@@ -257,7 +265,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Category not found
    */
-  router.put("/categories/:id", handlers.update);
+  router.put("/categories/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /categories/{id}:
@@ -276,7 +284,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Category not found
    */
-  router.delete("/categories/:id", handlers.delete);
+  router.delete("/categories/:id", auth.authenticate, handlers.delete);
 
   return router;
 };
@@ -81,6 +81,12 @@ const addNumericalRangeCondition = (filterValue, columnName, paramsArray, queryS
   return queryString;
 };
 
+// Charts (and artisan listings) count verified artisans only, unless `verification_status` asks for others ("all" for every status)
+const addVerificationStatusCondition = (filterValue, paramsArray, queryString) => {
+  if (filterValue === 'all') return queryString;
+  return addFilterCondition(filterValue || 'verified', 'verification_status', paramsArray, queryString);
+};
+
 const chartOps = {
 
   //Dashboard Cards
@@ -107,6 +113,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     // Initialize query and parameters
@@ -148,30 +155,48 @@ const chartOps = {
     whereClause = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, whereClause);
     whereClause = addNumericalRangeCondition(dependents_count, 'dependents_count', params, whereClause);
 
+    // Kept apart so the verification counters below can count every status
+    const statusParams = [];
+    const statusClause = addVerificationStatusCondition(verification_status, statusParams, "");
+
     // Replace placeholder with actual WHERE clause
-    query = query.replace(/{WHERE_CLAUSE}/g, whereClause);
+    query = query.replace(/{WHERE_CLAUSE}/g, whereClause + statusClause);
 
     // Repeat parameters for each subquery (4 subqueries)
     const repeatedParams = [];
     for (let i = 0; i < 4; i++) {
-      repeatedParams.push(...params);
+      repeatedParams.push(...params, ...statusParams);
     }
 
+    const verificationQuery = `
+      SELECT a.verification_status, COUNT(*) AS count
+      FROM artisansView a
+      WHERE a.isActive = 1 ${whereClause}
+      GROUP BY a.verification_status
+    `;
+
     console.log("Dashboard Data Query:", query); // Log the constructed query for debugging
     console.log("Dashboard Data Params:", repeatedParams); // Log parameters
 
-    return dbAsync
-      .all(query, repeatedParams)
-      .then((results) => {
+    return Promise.all([
+      dbAsync.all(query, repeatedParams),
+      dbAsync.all(verificationQuery, params),
+    ]).then(([results, statusCounts]) => {
         // Ensure the result is formatted as expected by the frontend
         const result = results[0] || {};
         console.log("Dashboard results:", results); // Log results
+        const countOf = (status) =>
+          (statusCounts.find((row) => row.verification_status === status) || {}).count || 0;
 
         return {
           total_active_artisans: result.total_active_artisans || 0,
           regions_covered: result.regions_covered || 0,
           new_registrations_this_month: result.new_registrations_this_month || 0,
           new_registrations_last_month: result.new_registrations_last_month || 0,
+          pending_verifications: countOf("submitted"),
+          needs_correction: countOf("needs_correction"),
+          rejected: countOf("rejected"),
+          drafts: countOf("draft"),
         };
       });
   },
@@ -199,6 +224,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
       // Add any other filters you might apply to this dataset
     } = filters;
 
@@ -226,6 +252,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);       // Assuming DB stores strings
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query); // Assuming DB stores strings
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query); // Assuming DB stores strings
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     // Apply numerical filters
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query); // Verify column name
@@ -276,6 +303,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     // Start with the base query including the initial WHERE clause
@@ -305,6 +333,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     // Apply numerical filters
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
@@ -348,6 +377,7 @@ const chartOps = {
       avg_monthly_income, dependents_count, inherited_skills,
       has_machinery, has_training, loan_status, financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -375,6 +405,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -407,6 +438,7 @@ const chartOps = {
       avg_monthly_income, dependents_count, inherited_skills,
       has_machinery, has_training, loan_status, financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -434,6 +466,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
 
@@ -466,6 +499,7 @@ const chartOps = {
       avg_monthly_income, dependents_count, inherited_skills,
       has_machinery, has_training, loan_status, financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -493,6 +527,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
 
@@ -525,6 +560,7 @@ const chartOps = {
       avg_monthly_income, dependents_count, inherited_skills,
       has_machinery, has_training, loan_status, financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     // NOTE: We select 'a.employment_type' directly from the view, which is more efficient
@@ -554,6 +590,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
 
@@ -608,6 +645,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     // Start with the base query including the initial WHERE clause
@@ -637,6 +675,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     // Apply numerical filters
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
@@ -684,6 +723,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -710,6 +750,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -752,6 +793,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -778,6 +820,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -821,6 +864,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -849,6 +893,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -898,6 +943,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     // Start with the base query including the initial WHERE clause
@@ -927,6 +973,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     // Apply numerical filters
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
@@ -974,6 +1021,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1000,6 +1048,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1042,6 +1091,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1068,6 +1118,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1110,6 +1161,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1136,6 +1188,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1191,6 +1244,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1217,6 +1271,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1259,6 +1314,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1302,6 +1358,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1344,6 +1401,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1380,6 +1438,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1422,6 +1481,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1456,6 +1516,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1498,6 +1559,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1531,6 +1593,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1573,6 +1636,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1600,6 +1664,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1648,6 +1713,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1674,6 +1740,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1716,6 +1783,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1742,6 +1810,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1788,6 +1857,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1814,6 +1884,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1853,6 +1924,7 @@ const chartOps = {
       loan_status,
       financial_assistance,
       technical_assistance,
+      verification_status,
     } = filters;
 
     let query = `
@@ -1879,6 +1951,7 @@ const chartOps = {
     query = addFilterCondition(loan_status, 'loan_status', params, query);
     query = addFilterCondition(financial_assistance, 'financial_assistance', params, query);
     query = addFilterCondition(technical_assistance, 'technical_assistance', params, query);
+    query = addVerificationStatusCondition(verification_status, params, query);
 
     query = addNumericalRangeCondition(avg_monthly_income, 'avg_monthly_income', params, query);
     query = addNumericalRangeCondition(dependents_count, 'dependents_count', params, query);
@@ -1903,7 +1976,7 @@ const chartOps = {
  * Route handlers with REST-compliant responses
  */
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
 
   // Generic handler factory to avoid repetition
   const createDynamicHandler = (handlerName, chartOpFunction) => {
@@ -2384,6 +2457,7 @@ module.exports = (dependencies) => {
           'loan_status',
           'financial_assistance',
           'technical_assistance',
+          'verification_status',
         ];
 
         // Extract filters from query parameters, only including valid keys
@@ -2486,14 +2560,23 @@ module.exports = (dependencies) => {
 
   /**
    * @swagger
-   * /charts/artisans:
+   * /charts/dashboard:
    *   get:
-   *     summary: Get artisans distribution
+   *     summary: Get dashboard cards
+   *     description: >
+   *       Like every chart, counts only verified artisans unless `verification_status`
+   *       names other statuses (or "all"). The pending_verifications, needs_correction,
+   *       rejected and drafts counters always cover every status.
+   *     parameters:
+   *       - in: query
+   *         name: verification_status
+   *         schema:
+   *           type: string
    *     responses:
    *       200:
-   *         description: Artisans distribution data
+   *         description: Dashboard totals and verification counters
    */
-  router.get("/charts/dashboard", handlers.getDashboardData);
+  router.get("/charts/dashboard", auth.authenticate, handlers.getDashboardData);
 
   /**
    * @swagger
@@ -2504,7 +2587,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Gender distribution data
    */
-  router.get("/charts/gender", handlers.getGenderDistribution);
+  router.get("/charts/gender", auth.authenticate, handlers.getGenderDistribution);
 
   /**
    * @swagger
@@ -2515,7 +2598,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Education distribution data
    */
-  router.get("/charts/education", handlers.getEducationDistribution);
+  router.get("/charts/education", auth.authenticate, handlers.getEducationDistribution);
 
   /**
  * @swagger
@@ -2537,7 +2620,7 @@ module.exports = (dependencies) => {
  * description: Invalid groupBy parameter provided
  */
 
-  router.get("/charts/group/:groupBy", handlers.getDistribution);
+  router.get("/charts/group/:groupBy", auth.authenticate, handlers.getDistribution);
 
 
   /**
@@ -2557,7 +2640,7 @@ module.exports = (dependencies) => {
    * 200:
    * description: Data for a stacked bar chart
    */
-  router.get("/charts/distribution-by-employment/:groupBy", handlers.getDistributionByEmploymentType);
+  router.get("/charts/distribution-by-employment/:groupBy", auth.authenticate, handlers.getDistributionByEmploymentType);
 
   /**
    * @swagger
@@ -2576,7 +2659,7 @@ module.exports = (dependencies) => {
    * 200:
    * description: Top 5 distribution data
    */
-  router.get("/charts/top-distribution/:groupBy", handlers.getTopDistribution);
+  router.get("/charts/top-distribution/:groupBy", auth.authenticate, handlers.getTopDistribution);
 
   /**
    * @swagger
@@ -2595,7 +2678,7 @@ module.exports = (dependencies) => {
    * 200:
    * description: Average income data
    */
-  router.get("/charts/average-income-by/:groupBy", handlers.getAverageIncomeByGroup);
+  router.get("/charts/average-income-by/:groupBy", auth.authenticate, handlers.getAverageIncomeByGroup);
 
   /**
    * @swagger
@@ -2606,7 +2689,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Skill distribution data
    */
-  router.get("/charts/skill", handlers.getSkillDistribution);
+  router.get("/charts/skill", auth.authenticate, handlers.getSkillDistribution);
 
   /**
    * @swagger
@@ -2617,7 +2700,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Skill by employment type data (for stacked bar chart)
    */
-  router.get("/charts/skill-by-employment", handlers.getSkillByEmploymentType);
+  router.get("/charts/skill-by-employment", auth.authenticate, handlers.getSkillByEmploymentType);
 
   /**
    * @swagger
@@ -2628,7 +2711,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: topSkill distribution data
    */
-  router.get("/charts/topSkill", handlers.getTopSkillDistribution);
+  router.get("/charts/topSkill", auth.authenticate, handlers.getTopSkillDistribution);
 
   /**
    * @swagger
@@ -2639,7 +2722,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Average income by skill data
    */
-  router.get("/charts/income-by-skill", handlers.getAverageIncomeBySkill);
+  router.get("/charts/income-by-skill", auth.authenticate, handlers.getAverageIncomeBySkill);
 
   /**
    * @swagger
@@ -2650,7 +2733,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Employment type distribution data
    */
-  router.get("/charts/employment-type", handlers.getEmploymentTypeDistribution);
+  router.get("/charts/employment-type", auth.authenticate, handlers.getEmploymentTypeDistribution);
 
   /**
    * @swagger
@@ -2661,7 +2744,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Division distribution data
    */
-  router.get("/charts/division", handlers.getDivisionDistribution);
+  router.get("/charts/division", auth.authenticate, handlers.getDivisionDistribution);
 
   /**
    * @swagger
@@ -2672,7 +2755,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: District distribution data
    */
-  router.get("/charts/district", handlers.getDistrictDistribution);
+  router.get("/charts/district", auth.authenticate, handlers.getDistrictDistribution);
 
   /**
    * @swagger
@@ -2683,7 +2766,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Tehsil distribution data
    */
-  router.get("/charts/tehsil", handlers.getTehsilDistribution);
+  router.get("/charts/tehsil", auth.authenticate, handlers.getTehsilDistribution);
 
   /**
    * @swagger
@@ -2701,7 +2784,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Field distribution data
    */
-  router.get("/charts/yes-no/:field", handlers.getYesNoDistribution);
+  router.get("/charts/yes-no/:field", auth.authenticate, handlers.getYesNoDistribution);
 
   /**
    * @swagger
@@ -2712,7 +2795,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Age distribution data
    */
-  router.get("/charts/age", handlers.getAgeDistribution);
+  router.get("/charts/age", auth.authenticate, handlers.getAgeDistribution);
 
   /**
    * @swagger
@@ -2723,7 +2806,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Experience distribution data
    */
-  router.get("/charts/experience", handlers.getExperienceDistribution);
+  router.get("/charts/experience", auth.authenticate, handlers.getExperienceDistribution);
 
   /**
    * @swagger
@@ -2734,7 +2817,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Income distribution data
    */
-  router.get("/charts/income", handlers.getIncomeDistribution);
+  router.get("/charts/income", auth.authenticate, handlers.getIncomeDistribution);
 
   /**
    * @swagger
@@ -2745,7 +2828,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Dependents distribution data
    */
-  router.get("/charts/dependents", handlers.getDependentsDistribution);
+  router.get("/charts/dependents", auth.authenticate, handlers.getDependentsDistribution);
 
   /**
    * @swagger
@@ -2756,7 +2839,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Gender by tehsil data (for stacked bar chart)
    */
-  router.get("/charts/gender-by-tehsil", handlers.getGenderByTehsil);
+  router.get("/charts/gender-by-tehsil", auth.authenticate, handlers.getGenderByTehsil);
 
   /**
    * @swagger
@@ -2767,7 +2850,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Registrations over time data (for line chart)
    */
-  router.get("/charts/registrations-time", handlers.getRegistrationsOverTime);
+  router.get("/charts/registrations-time", auth.authenticate, handlers.getRegistrationsOverTime);
 
   /**
    * @swagger
@@ -2778,7 +2861,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Cumulative registrations data (for area chart)
    */
-  router.get("/charts/cumulative-registrations", handlers.getCumulativeRegistrations);
+  router.get("/charts/cumulative-registrations", auth.authenticate, handlers.getCumulativeRegistrations);
 
   /**
    * @swagger
@@ -2789,7 +2872,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Experience vs income data (for scatter plot)
    */
-  router.get("/charts/experience-vs-income", handlers.getExperienceVsIncome);
+  router.get("/charts/experience-vs-income", auth.authenticate, handlers.getExperienceVsIncome);
 
   /**
    * @swagger
@@ -2800,7 +2883,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Geographical distribution data (for scatter/map)
    */
-  router.get("/charts/geographical", handlers.getGeographicalDistribution);
+  router.get("/charts/geographical", auth.authenticate, handlers.getGeographicalDistribution);
 
   /**
    * @swagger
@@ -2811,7 +2894,10 @@ module.exports = (dependencies) => {
    *       200:
    *         description: All chart data
    */
-  router.get("/charts/all", handlers.getAllChartData);
+  router.get("/charts/all", auth.authenticate, handlers.getAllChartData);
 
   return router;
 };
+
+// Listings in routes/artisans.js hide unverified artisans the same way
+module.exports.addVerificationStatusCondition = addVerificationStatusCondition;
@@ -2,6 +2,7 @@ const express = require("express");
 const db = require("../db");
 const router = express.Router();
 const { dbAsync, createHandler } = require("./base_route.js");
+const auditLog = require("../config/auditLog.js");
 
 /**
  * Craft-specific database operations
@@ -49,7 +50,7 @@ const craftOps = {
  * Route handlers with REST-compliant responses
  */
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
   const handlers = {
     // Get all crafts
     getAll: createHandler(async (req, res) => {
@@ -75,6 +76,7 @@ module.exports = (dependencies) => {
 
       try {
         const { lastID } = await craftOps.create(req.body);
+        await auditLog.record(req, { entity: "crafts", id: lastID, action: "create" });
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -108,6 +110,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("crafts", req.params.id);
         const { changes } = await craftOps.update(req.params.id, req.body);
 
         if (changes === 0) {
@@ -121,6 +124,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "crafts", id: req.params.id, action: "update", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -151,6 +156,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("crafts", req.params.id);
         const { changes } = await craftOps.delete(req.params.id);
 
         if (changes === 0) {
@@ -164,6 +170,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "crafts", id: req.params.id, action: "delete", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -192,7 +200,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Successful operation
    */
-  router.get("/crafts", handlers.getAll);
+  router.get("/crafts", auth.authenticate, handlers.getAll);
   /**
    * @swagger
    * /crafts:
@@ -213,7 +221,7 @@ module.exports = (dependencies) => {
    *       201:
    *         description: Craft created successfully
    */
-  router.post("/crafts", handlers.create);
+  router.post("/crafts", auth.authenticate, handlers.create);
   /**
    * @swagger
    * /crafts/{id}:
@@ -243,7 +251,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Craft not found
    */
-  router.put("/crafts/:id", handlers.update);
+  router.put("/crafts/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /crafts/{id}:
@@ -262,6 +270,6 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Craft not found
    */
-  router.delete("/crafts/:id", handlers.delete);
+  router.delete("/crafts/:id", auth.authenticate, handlers.delete);
   return router;
 };
@@ -2,6 +2,7 @@ const express = require('express');
 const db = require('../db');
 const router = express.Router();
 const { dbAsync, createHandler } = require('./base_route.js');
+const auditLog = require('../config/auditLog.js');
 
 /**
  * Education-specific database operations
@@ -36,7 +37,7 @@ const educationOps = {
  * Route handlers with REST-compliant responses
  */
 module.exports = (dependencies) => {
-    const { logger } = dependencies;
+    const { logger, auth } = dependencies;
     const handlers = {
         // Get all education levels
         getAll: createHandler(async (req, res) => {
@@ -62,6 +63,7 @@ module.exports = (dependencies) => {
 
             try {
                 const { lastID } = await educationOps.create(req.body);
+                await auditLog.record(req, { entity: 'education', id: lastID, action: 'create' });
                 res.write(`data: ${JSON.stringify({ status: 'complete', id: lastID, message: 'Education level created successfully' })}\n\n`);
                 res.status(201).end();
             } catch (error) {
@@ -81,6 +83,7 @@ module.exports = (dependencies) => {
             res.flushHeaders();
 
             try {
+                const before = await auditLog.snapshot('education', req.params.id);
                 const { changes } = await educationOps.update(req.params.id, req.body);
 
                 if (changes === 0) {
@@ -89,6 +92,8 @@ module.exports = (dependencies) => {
                     return res.status(404).end();
                 }
 
+                await auditLog.record(req, { entity: 'education', id: req.params.id, action: 'update', before });
+
                 res.write(`data: ${JSON.stringify({ status: 'complete', id: parseInt(req.params.id), message: 'Education level updated successfully' })}\n\n`);
                 res.status(200).end();
             } catch (error) {
@@ -108,6 +113,7 @@ module.exports = (dependencies) => {
             res.flushHeaders();
 
             try {
+                const before = await auditLog.snapshot('education', req.params.id);
                 const { changes } = await educationOps.delete(req.params.id);
 
                 if (changes === 0) {
@@ -116,6 +122,8 @@ module.exports = (dependencies) => {
                     return res.status(404).end();
                 }
 
+                await auditLog.record(req, { entity: 'education', id: req.params.id, action: 'delete', before });
+
                 res.write(`data: ${JSON.stringify({ status: 'complete', message: 'Education level deleted successfully' })}\n\n`);
                 res.status(200).end();
             } catch (error) {
@@ -135,7 +143,7 @@ module.exports = (dependencies) => {
      *       200:
      *         description: Successful operation
      */
-    router.get('/education', handlers.getAll);
+    router.get('/education', auth.authenticate, handlers.getAll);
 
     /**
      * @swagger
@@ -157,7 +165,7 @@ module.exports = (dependencies) => {
      *       201:
      *         description: Education level created successfully
      */
-    router.post('/education', handlers.create);
+    router.post('/education', auth.authenticate, handlers.create);
 
     /**
      * @swagger
@@ -188,7 +196,7 @@ module.exports = (dependencies) => {
      *       404:
      *         description: Education level not found
      */
-    router.put('/education/:id', handlers.update);
+    router.put('/education/:id', auth.authenticate, handlers.update);
 
     /**
      * @swagger
@@ -208,7 +216,7 @@ module.exports = (dependencies) => {
      *       404:
      *         description: Education level not found
      */
-    router.delete('/education/:id', handlers.delete);
+    router.delete('/education/:id', auth.authenticate, handlers.delete);
 
     return router;
 };
\ No newline at end of file
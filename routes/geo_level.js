@@ -2,6 +2,7 @@ const express = require("express");
 const { db } = require("../db");
 const router = express.Router();
 const { dbAsync, createHandler } = require("./base_route");
+const auditLog = require("../config/auditLog.js");
 
 /**
  * GeoLevel entity operations
@@ -43,7 +44,7 @@ const geoLevelOps = {
  * Route handlers with improved response formats
  */
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
   const handlers = {
     // Get all geo levels
     getAll: createHandler(async (req, res) => {
@@ -76,6 +77,7 @@ module.exports = (dependencies) => {
 
       try {
         const { lastID } = await geoLevelOps.create(req.body);
+        await auditLog.record(req, { entity: "geo_level", id: lastID, action: "create" });
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -113,6 +115,7 @@ module.exports = (dependencies) => {
 
       try {
         const { id } = req.params;
+        const before = await auditLog.snapshot("geo_level", id);
         const { changes } = await geoLevelOps.update(id, req.body);
 
         if (changes === 0) {
@@ -126,6 +129,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "geo_level", id, action: "update", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -163,6 +168,7 @@ module.exports = (dependencies) => {
 
       try {
         const { id } = req.params;
+        const before = await auditLog.snapshot("geo_level", id);
         const { changes } = await geoLevelOps.delete(id);
 
         if (changes === 0) {
@@ -176,6 +182,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "geo_level", id, action: "delete", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -206,7 +214,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Successful operation
    */
-  router.get("/geo_level", handlers.getAll);
+  router.get("/geo_level", auth.authenticate, handlers.getAll);
   /**
    * @swagger
    * /geo_level:
@@ -227,7 +235,7 @@ module.exports = (dependencies) => {
    *       201:
    *         description: Geo level created successfully
    */
-  router.post("/geo_level", handlers.create);
+  router.post("/geo_level", auth.authenticate, handlers.create);
   /**
    * @swagger
    * /geo_level/{id}:
@@ -257,7 +265,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Geo level not found
    */
-  router.put("/geo_level/:id", handlers.update);
+  router.put("/geo_level/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /geo_level/{id}:
@@ -276,7 +284,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Geo level not found
    */
-  router.delete("/geo_level/:id", handlers.delete);
+  router.delete("/geo_level/:id", auth.authenticate, handlers.delete);
 
   return router;
 };
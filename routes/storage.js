@@ -0,0 +1,109 @@
+const express = require("express");
+const router = express.Router();
+const { createHandler } = require("./base_route.js");
+const storageMaintenance = require("../config/storageMaintenance.js");
+
+/**
+ * Route handlers with REST-compliant responses
+ */
+module.exports = (dependencies) => {
+  const { logger, auth } = dependencies;
+  const handlers = {
+    // Orphaned files, rows pointing at missing files and usage per category
+    getReport: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "storage", handler: "getReport" });
+      routeLogger.info({ query: req.query }, "Received storage report request");
+
+      try {
+        res.json(await storageMaintenance.buildReport({ limit: req.query.limit }));
+      } catch (error) {
+        routeLogger.error({ error }, "Error building storage report");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+
+    // Remove orphaned files; only a dry run unless confirmed
+    cleanup: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "storage", handler: "cleanup" });
+      const { confirm, keys } = req.body || {};
+      routeLogger.info({ confirm, keys: keys && keys.length }, "Received storage cleanup request");
+
+      if (keys !== undefined && (!Array.isArray(keys) || !keys.every((key) => typeof key === "string"))) {
+        return res.status(400).json({ error: "keys must be an array of storage keys" });
+      }
+
+      try {
+        const result = await storageMaintenance.cleanup({ keys, dryRun: confirm !== true });
+        if (!result.dryRun) {
+          routeLogger.info(
+            { removed: result.removed.length, failed: result.failed.length, bytes: result.bytes, userId: req.user.id },
+            "Orphaned uploads removed"
+          );
+        }
+        res.json({
+          dry_run: result.dryRun,
+          removed: result.removed,
+          failed: result.failed,
+          bytes: result.bytes,
+          stale_variant_rows: result.staleVariantRows,
+          message: result.dryRun
+            ? 'Nothing was deleted; send { "confirm": true } to remove these files'
+            : "Orphaned files removed",
+        });
+      } catch (error) {
+        routeLogger.error({ error }, "Error cleaning up storage");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+  };
+  /**
+   * @swagger
+   * /admin/storage/report:
+   *   get:
+   *     summary: Storage integrity report
+   *     description: >
+   *       Files no database row refers to (ignoring files younger than the grace period, which
+   *       may belong to an upload in progress), rows whose file is missing from storage, and
+   *       files and bytes per category (profile_pictures, product_images, shop_images).
+   *     parameters:
+   *       - in: query
+   *         name: limit
+   *         description: Most orphaned files and missing rows to list (counts are always complete)
+   *         schema:
+   *           type: integer
+   *           default: 100
+   *     responses:
+   *       200:
+   *         description: Report with usage, orphaned, missing, external and stale_variant_rows
+   */
+  router.get("/admin/storage/report", auth.authenticate, handlers.getReport);
+  /**
+   * @swagger
+   * /admin/storage/cleanup:
+   *   post:
+   *     summary: Remove orphaned uploads
+   *     description: >
+   *       Works the orphans out again rather than trusting an earlier report, and only deletes
+   *       when `confirm` is true; otherwise it is a dry run listing what would go.
+   *     requestBody:
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               confirm:
+   *                 type: boolean
+   *               keys:
+   *                 type: array
+   *                 description: Only remove these orphaned files (e.g. picked from the report)
+   *                 items:
+   *                   type: string
+   *     responses:
+   *       200:
+   *         description: Files removed (or that would be removed on a dry run)
+   *       400:
+   *         description: keys is not an array of strings
+   */
+  router.post("/admin/storage/cleanup", auth.authenticate, handlers.cleanup);
+  return router;
+};
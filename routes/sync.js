@@ -0,0 +1,92 @@
+const express = require("express");
+const router = express.Router();
+const { dbAsync, createHandler } = require("./base_route.js");
+
+// Lookup tables mobile clients cache offline; change tracking lives in config/schema.js
+const LOOKUP_TABLES = ["crafts", "categories", "techniques", "geo_level", "education"];
+
+// SQLite CURRENT_TIMESTAMP format (UTC)
+const toDbTime = (date) => date.toISOString().replace("T", " ").slice(0, 19);
+
+/**
+ * Incremental lookup operations
+ */
+const syncOps = {
+  getChanged(table, since) {
+    return since
+      ? dbAsync.all(`SELECT * FROM ${table} WHERE updated_at >= ? ORDER BY id`, [since])
+      : dbAsync.all(`SELECT * FROM ${table} ORDER BY id`);
+  },
+
+  getDeleted(since) {
+    return since
+      ? dbAsync.all(
+          "SELECT entity, entity_id FROM sync_deletions WHERE deleted_at >= ?",
+          [since]
+        )
+      : Promise.resolve([]);
+  },
+};
+
+/**
+ * Route handlers with REST-compliant responses
+ */
+module.exports = (dependencies) => {
+  const { logger, auth } = dependencies;
+  const handlers = {
+    // Lookup rows changed since a timestamp, for offline clients
+    getLookups: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "sync", handler: "getLookups" });
+      routeLogger.info({ query: req.query }, "Received sync lookups request");
+
+      let since = null;
+      if (req.query.since) {
+        const sinceDate = new Date(req.query.since);
+        if (Number.isNaN(sinceDate.getTime())) {
+          return res.status(400).json({ error: "since must be an ISO 8601 timestamp" });
+        }
+        since = toDbTime(sinceDate);
+      }
+
+      try {
+        // Taken before reading so nothing written meanwhile is skipped next time;
+        // `>=` above may resend rows from that same second, which clients upsert anyway
+        const serverTime = new Date().toISOString();
+
+        const changes = {};
+        for (const table of LOOKUP_TABLES) {
+          changes[table] = await syncOps.getChanged(table, since);
+        }
+        const deleted = Object.fromEntries(LOOKUP_TABLES.map((table) => [table, []]));
+        for (const { entity, entity_id } of await syncOps.getDeleted(since)) {
+          if (deleted[entity]) deleted[entity].push(entity_id);
+        }
+
+        res.json({ serverTime, full: !since, changes, deleted });
+      } catch (error) {
+        routeLogger.error({ error }, "Error fetching lookup changes");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+  };
+  /**
+   * @swagger
+   * /sync/lookups:
+   *   get:
+   *     summary: Pull crafts, categories, techniques, geo levels and education levels changed since a timestamp
+   *     parameters:
+   *       - in: query
+   *         name: since
+   *         description: serverTime of the previous pull; omit for a full download
+   *         schema:
+   *           type: string
+   *           format: date-time
+   *     responses:
+   *       200:
+   *         description: Changed rows per table, ids of deleted rows and the serverTime to send next time
+   *       400:
+   *         description: Invalid since timestamp
+   */
+  router.get("/sync/lookups", auth.authenticate, handlers.getLookups);
+  return router;
+};
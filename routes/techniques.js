@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const { db } = require("../db");
 const { dbAsync, createHandler } = require("./base_route.js");
+const auditLog = require("../config/auditLog.js");
 /**
  * Technique entity operations
  */
@@ -44,7 +45,7 @@ const techniqueOps = {
  * Route handlers
  */
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
   const handlers = {
     getAll: createHandler(async (req, res) => {
       const routeLogger = logger.child({
@@ -74,6 +75,7 @@ module.exports = (dependencies) => {
 
       try {
         const { lastID } = await techniqueOps.create(req.body);
+        await auditLog.record(req, { entity: "techniques", id: lastID, action: "create" });
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -109,6 +111,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("techniques", req.params.id);
         const { changes } = await techniqueOps.update(req.params.id, req.body);
 
         if (changes === 0) {
@@ -122,6 +125,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "techniques", id: req.params.id, action: "update", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -157,6 +162,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("techniques", req.params.id);
         const { changes } = await techniqueOps.delete(req.params.id);
 
         if (changes === 0) {
@@ -170,6 +176,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "techniques", id: req.params.id, action: "delete", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -200,7 +208,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Successful operation
    */
-  router.get("/techniques", handlers.getAll);
+  router.get("/techniques", auth.authenticate, handlers.getAll);
   /**
    * @swagger
    * /techniques:
@@ -223,7 +231,7 @@ module.exports = (dependencies) => {
    *       201:
    *         description: Technique created successfully
    */
-  router.post("/techniques", handlers.create);
+  router.post("/techniques", auth.authenticate, handlers.create);
   /**
    * @swagger
    * /techniques/{id}:
@@ -255,7 +263,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Technique not found
    */
-  router.put("/techniques/:id", handlers.update);
+  router.put("/techniques/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /techniques/{id}:
@@ -274,7 +282,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: Technique not found
    */
-  router.delete("/techniques/:id", handlers.delete);
+  router.delete("/techniques/:id", auth.authenticate, handlers.delete);
 
   return router;
 };
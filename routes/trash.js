@@ -0,0 +1,222 @@
+const express = require("express");
+const router = express.Router();
+const { dbAsync, createHandler } = require("./base_route.js");
+const auditLog = require("../config/auditLog.js");
+const artisanVersions = require("../config/artisanVersions.js");
+const trash = require("../config/trash.js");
+const { hasRole } = require("../config/permissions");
+
+const unknownEntity = () => ({
+  error: `Unknown entity, expected one of: ${Object.keys(trash.TRASH_ENTITIES).join(", ")}`,
+});
+
+/**
+ * Route handlers with REST-compliant responses
+ */
+module.exports = (dependencies) => {
+  const { logger, auth } = dependencies;
+  const handlers = {
+    // Deleted records, most recently deleted first
+    getAll: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "trash", handler: "getAll" });
+      routeLogger.info({ query: req.query }, "Received get trash request");
+
+      const { entity, limit } = req.query;
+      if (entity && !trash.getEntity(entity)) {
+        return res.status(400).json(unknownEntity());
+      }
+
+      try {
+        res.json(entity ? await trash.list(entity, { limit }) : await trash.listAll({ limit }));
+      } catch (error) {
+        routeLogger.error({ error }, "Error fetching trash");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+
+    // Undo a soft delete
+    restore: createHandler(async (req, res) => {
+      const { entity, id } = req.params;
+      const routeLogger = logger.child({ route: "trash", handler: "restore", entity, id });
+      routeLogger.info("Received restore deleted record request");
+
+      const definition = trash.getEntity(entity);
+      if (!definition) {
+        return res.status(404).json(unknownEntity());
+      }
+      if (!hasRole(req.user, definition.restoreRoles)) {
+        return res.status(403).json({ error: "Forbidden" });
+      }
+
+      let transactionStarted = false;
+      try {
+        if (!(await trash.isTrashed(entity, id))) {
+          return res.status(404).json({ message: "No deleted record with this id" });
+        }
+        await dbAsync.run("BEGIN TRANSACTION");
+        transactionStarted = true;
+
+        const before = await auditLog.snapshot(entity, id);
+        await trash.restore(entity, id);
+        await auditLog.record(req, { entity, id, action: "undelete", before });
+        if (entity === "artisans") {
+          await artisanVersions.save(req, id, "undelete", before);
+        }
+
+        await dbAsync.run("COMMIT");
+        routeLogger.info("Record restored");
+        res.json({ entity, id: parseInt(id), message: "Record restored successfully" });
+      } catch (error) {
+        if (transactionStarted) {
+          try {
+            await dbAsync.run("ROLLBACK");
+          } catch (rollbackErr) {
+            routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+          }
+        }
+        routeLogger.error({ error }, "Error restoring record");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+
+    // Permanently delete a record from the trash, with the artisan's uploaded files
+    purge: createHandler(async (req, res) => {
+      const { entity, id } = req.params;
+      const routeLogger = logger.child({ route: "trash", handler: "purge", entity, id });
+      routeLogger.info("Received purge request");
+
+      if (!trash.getEntity(entity)) {
+        return res.status(404).json(unknownEntity());
+      }
+
+      let transactionStarted = false;
+      try {
+        if (!(await trash.isTrashed(entity, id))) {
+          return res.status(404).json({
+            message: "No deleted record with this id; only records in the trash can be purged",
+          });
+        }
+        const references = await trash.findReferences(entity, id);
+        if (Object.keys(references).length > 0) {
+          return res.status(409).json({
+            error: "Other records still point at this one; reassign or purge them first",
+            references,
+          });
+        }
+
+        await dbAsync.run("BEGIN TRANSACTION");
+        transactionStarted = true;
+
+        const before = await auditLog.snapshot(entity, id);
+        const files = await trash.purge(entity, id);
+        await auditLog.record(req, { entity, id, action: "purge", before });
+
+        await dbAsync.run("COMMIT");
+        transactionStarted = false;
+
+        // Files go only once the rows are gone for good
+        const failedFiles = await trash.removeFiles(files);
+        if (failedFiles.length > 0) {
+          routeLogger.warn({ failedFiles }, "Some uploaded files could not be removed");
+        }
+        routeLogger.info({ files: files.length }, "Record purged");
+        res.json({
+          entity,
+          id: parseInt(id),
+          filesRemoved: files.length - failedFiles.length,
+          failedFiles,
+          message: "Record permanently deleted",
+        });
+      } catch (error) {
+        if (transactionStarted) {
+          try {
+            await dbAsync.run("ROLLBACK");
+          } catch (rollbackErr) {
+            routeLogger.error({ error: rollbackErr }, "Failed to rollback transaction.");
+          }
+        }
+        routeLogger.error({ error }, "Error purging record");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+  };
+  /**
+   * @swagger
+   * /trash:
+   *   get:
+   *     summary: Soft-deleted records with who deleted them and when, newest first
+   *     parameters:
+   *       - in: query
+   *         name: entity
+   *         description: One of artisans, crafts, categories, techniques, education or users; all when omitted
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 100
+   *     responses:
+   *       200:
+   *         description: Deleted records with entity, id, name, deleted_at and deleted_by_username
+   *       400:
+   *         description: Unknown entity
+   */
+  router.get("/trash", auth.authenticate, handlers.getAll);
+  /**
+   * @swagger
+   * /trash/{entity}/{id}:
+   *   delete:
+   *     summary: Permanently delete a record that is in the trash
+   *     description: >
+   *       Purging an artisan also removes its trainings, loans, machines, history and uploaded
+   *       images, and the artisans that were merged into it.
+   *     parameters:
+   *       - in: path
+   *         name: entity
+   *         required: true
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Record purged; reports how many files were removed
+   *       404:
+   *         description: Unknown entity or no deleted record with this id
+   *       409:
+   *         description: Other records still reference it
+   */
+  router.delete("/trash/:entity/:id", auth.authenticate, handlers.purge);
+  /**
+   * @swagger
+   * /{entity}/{id}/restore:
+   *   post:
+   *     summary: Restore a soft-deleted record
+   *     description: Artisans can be restored by supervisors, everything else only by admins.
+   *     parameters:
+   *       - in: path
+   *         name: entity
+   *         required: true
+   *         description: One of artisans, crafts, categories, techniques, education or users
+   *         schema:
+   *           type: string
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Record restored
+   *       403:
+   *         description: Not allowed to restore this kind of record
+   *       404:
+   *         description: Unknown entity or no deleted record with this id
+   */
+  router.post("/:entity/:id/restore", auth.authenticate, handlers.restore);
+  return router;
+};
@@ -2,9 +2,28 @@ const express = require("express");
 const router = express.Router();
 const { db } = require("../db");
 const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const { dbAsync, createHandler } = require("./base_route");
+const { ALL_ROLES } = require("../config/permissions");
+const { isMailConfigured, sendMail } = require("../config/mailer");
+const auditLog = require("../config/auditLog.js");
 
 const saltRounds = 10;
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// Login brute-force protection settings
+const LOGIN_GUARD = Object.freeze({
+  WINDOW_MINUTES: parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15,
+  MAX_USER_FAILURES: parseInt(process.env.LOGIN_MAX_USER_FAILURES, 10) || 5,
+  MAX_IP_FAILURES: parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20,
+  LOCKOUT_MINUTES: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  FREE_USER_FAILURES: 2, // failures allowed before delays start
+  MAX_DELAY_SECONDS: 60,
+});
+
+// Compared against when there is no user, so unknown usernames take as long as wrong passwords
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), saltRounds);
 
 /**
  * User entity operations
@@ -25,19 +44,19 @@ const userOps = {
     const {
       username,
       roles,
-      passwordnoty,
+      email,
       geoLevel_Code,
       isMobileUser,
       user_Id,
       password,
     } = user;
     return dbAsync.run(
-      "INSERT INTO user (username, roles, password, hashynoty, geoLevel_Code, isMobileUser, user_Id) VALUES (?, ?, ?, ?, ?, ?, ?)",
+      "INSERT INTO user (username, roles, email, password, must_change_password, geoLevel_Code, isMobileUser, user_Id) VALUES (?, ?, ?, ?, 1, ?, ?, ?)",
       [
         username,
         roles,
+        email || null,
         password,
-        passwordnoty,
         geoLevel_Code,
         isMobileUser,
         user_Id,
@@ -46,11 +65,44 @@ const userOps = {
   },
 
   update(id, user) {
-    const { username, roles, geoLevel_Code, isMobileUser, isActive, user_Id } =
+    const { username, roles, email, geoLevel_Code, isMobileUser, isActive, user_Id } =
       user;
     return dbAsync.run(
-      "UPDATE user SET username = ?, roles = ?, geoLevel_Code = ?, isMobileUser = ?, isActive = ?, user_Id = ? WHERE id = ?",
-      [username, roles, geoLevel_Code, isMobileUser, isActive, user_Id, id]
+      "UPDATE user SET username = ?, roles = ?, email = COALESCE(?, email), geoLevel_Code = ?, isMobileUser = ?, isActive = ?, user_Id = ? WHERE id = ?",
+      [username, roles, email, geoLevel_Code, isMobileUser, isActive, user_Id, id]
+    );
+  },
+
+  recordLoginFailure(id) {
+    return dbAsync.run(
+      `UPDATE user SET
+         failed_login_count = COALESCE(failed_login_count, 0) + 1,
+         locked_until = CASE
+           WHEN COALESCE(failed_login_count, 0) + 1 >= ? THEN datetime('now', ?)
+           ELSE locked_until END
+       WHERE id = ?`,
+      [LOGIN_GUARD.MAX_USER_FAILURES, `+${LOGIN_GUARD.LOCKOUT_MINUTES} minutes`, id]
+    );
+  },
+
+  recordLoginSuccess(id) {
+    return dbAsync.run(
+      "UPDATE user SET failed_login_count = 0, locked_until = NULL, last_login_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [id]
+    );
+  },
+
+  unlock(id) {
+    return dbAsync.run(
+      "UPDATE user SET failed_login_count = 0, locked_until = NULL WHERE id = ?",
+      [id]
+    );
+  },
+
+  updatePassword(id, password, mustChangePassword = false) {
+    return dbAsync.run(
+      "UPDATE user SET password = ?, must_change_password = ?, password_changed_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [password, mustChangePassword ? 1 : 0, id]
     );
   },
 
@@ -61,71 +113,244 @@ const userOps = {
   getByUsername(username) {
     return dbAsync.get("SELECT * FROM user WHERE username = ?", [username]);
   },
+
+  getById(id) {
+    return dbAsync.get("SELECT * FROM user WHERE id = ?", [id]);
+  },
+};
+
+/**
+ * Refresh token persistence (only token hashes are stored)
+ */
+const tokenOps = {
+  create(userId, tokenHash, expiresAt) {
+    return dbAsync.run(
+      "INSERT INTO user_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)",
+      [userId, tokenHash, expiresAt]
+    );
+  },
+
+  getActive(tokenHash) {
+    return dbAsync.get(
+      `SELECT * FROM user_tokens
+       WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?`,
+      [tokenHash, new Date().toISOString()]
+    );
+  },
+
+  revoke(tokenHash) {
+    return dbAsync.run(
+      "UPDATE user_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = ? AND revoked_at IS NULL",
+      [tokenHash]
+    );
+  },
+
+  revokeAllForUser(userId) {
+    return dbAsync.run(
+      "UPDATE user_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL",
+      [userId]
+    );
+  },
+};
+
+/**
+ * One-time password reset tokens (only token hashes are stored)
+ */
+const resetOps = {
+  async create(userId, tokenHash, expiresAt, createdBy) {
+    // A new reset invalidates any earlier unused token for the user
+    await dbAsync.run(
+      "UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL",
+      [userId]
+    );
+    return dbAsync.run(
+      "INSERT INTO password_resets (user_id, token_hash, expires_at, created_by) VALUES (?, ?, ?, ?)",
+      [userId, tokenHash, expiresAt, createdBy || null]
+    );
+  },
+
+  getActive(tokenHash) {
+    return dbAsync.get(
+      `SELECT * FROM password_resets
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?`,
+      [tokenHash, new Date().toISOString()]
+    );
+  },
+
+  // Marks the token used unless a concurrent request already did (changes is then 0)
+  claim(id) {
+    return dbAsync.run(
+      "UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL",
+      [id]
+    );
+  },
+};
+
+/**
+ * Login attempt audit trail, also used to throttle by username and IP
+ */
+const loginAttemptOps = {
+  create({ username, userId, ip, userAgent, success, reason }) {
+    return dbAsync.run(
+      "INSERT INTO login_attempts (username, user_id, ip, user_agent, success, reason) VALUES (?, ?, ?, ?, ?, ?)",
+      [username || null, userId || null, ip, userAgent || null, success ? 1 : 0, reason || null]
+    );
+  },
+
+  // Failures for `column` (username or ip) inside the guard window
+  recentFailures(column, value) {
+    return dbAsync.get(
+      `SELECT COUNT(*) AS count, MAX(created_at) AS last_failure
+       FROM login_attempts
+       WHERE ${column} = ? AND success = 0 AND created_at > datetime('now', ?)`,
+      [value, `-${LOGIN_GUARD.WINDOW_MINUTES} minutes`]
+    );
+  },
+
+  getAll({ username, ip, success, limit }) {
+    let query = "SELECT * FROM login_attempts WHERE 1 = 1";
+    const params = [];
+    if (username) {
+      query += " AND username = ?";
+      params.push(username);
+    }
+    if (ip) {
+      query += " AND ip = ?";
+      params.push(ip);
+    }
+    if (success === "0" || success === "1") {
+      query += " AND success = ?";
+      params.push(Number(success));
+    }
+    query += " ORDER BY id DESC LIMIT ?";
+    params.push(Math.min(parseInt(limit, 10) || 100, 1000));
+    return dbAsync.all(query, params);
+  },
+};
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+const parseDbTime = (value) =>
+  value ? new Date(`${String(value).replace(" ", "T")}Z`) : null;
+
+/**
+ * Seconds the caller still has to wait after `failures` recent failures,
+ * doubling with every failure past `freeFailures`
+ */
+const getRetryAfterSeconds = (failures, lastFailure, freeFailures) => {
+  if (!lastFailure || failures <= freeFailures) return 0;
+  const delay = Math.min(
+    2 ** (failures - freeFailures - 1),
+    LOGIN_GUARD.MAX_DELAY_SECONDS
+  );
+  const elapsed = (Date.now() - parseDbTime(lastFailure).getTime()) / 1000;
+  return Math.max(0, Math.ceil(delay - elapsed));
+};
+
+/**
+ * Password strength rules; returns the list of violated rules
+ */
+const validatePasswordStrength = (password, username) => {
+  const problems = [];
+  if (typeof password !== "string" || password.length < 8) {
+    problems.push("Password must be at least 8 characters");
+  }
+  if (!/[a-z]/.test(password)) problems.push("Password must contain a lowercase letter");
+  if (!/[A-Z]/.test(password)) problems.push("Password must contain an uppercase letter");
+  if (!/[0-9]/.test(password)) problems.push("Password must contain a digit");
+  if (
+    username &&
+    typeof password === "string" &&
+    password.toLowerCase().includes(String(username).toLowerCase())
+  ) {
+    problems.push("Password must not contain the username");
+  }
+  return problems;
+};
+
+/**
+ * Random temporary password that satisfies the strength rules
+ */
+const generateTemporaryPassword = () => {
+  const sets = ["abcdefghjkmnpqrstuvwxyz", "ABCDEFGHJKLMNPQRSTUVWXYZ", "23456789"];
+  const all = sets.join("");
+  const chars = sets.map((set) => set[crypto.randomInt(set.length)]);
+  while (chars.length < 12) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+  // Shuffle so the guaranteed characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join("");
+};
+
+/**
+ * Returns the entries of a comma separated roles string that are not known roles
+ */
+const findUnknownRoles = (roles) =>
+  String(roles || "")
+    .split(",")
+    .map((role) => role.trim().toLowerCase())
+    .filter((role) => role && !ALL_ROLES.includes(role));
+
+/**
+ * Strips credentials from a user row before it leaves the server
+ */
+const toPublicUser = (user) => {
+  const { password, hashynoty, ...publicUser } = user;
+  return publicUser;
 };
 
 /**
  * Route handlers
  */
 module.exports = (dependencies) => {
-  const { logger } = dependencies;
+  const { logger, auth } = dependencies;
+
+  // Issues a new access token and a persisted refresh token for the user
+  const issueTokens = async (user) => {
+    const { token, tokenHash, expiresAt } = auth.createRefreshToken();
+    await tokenOps.create(user.id, tokenHash, expiresAt);
+    return {
+      tokenType: "Bearer",
+      accessToken: auth.signAccessToken(user),
+      refreshToken: token,
+    };
+  };
+
   const handlers = {
     getAll: createHandler(async (req, res) => {
       const routeLogger = logger.child({ route: "user", handler: "getAll" });
       routeLogger.info("Received get all users request");
       try {
         const users = await userOps.getAll();
-        res.json(users);
+        res.json(users.map(toPublicUser));
       } catch (error) {
         routeLogger.error({ error }, "Error fetching users");
         res.status(500).json({ error: error.message });
       }
     }),
 
-    register: createHandler(async (req, res) => {
-      const routeLogger = logger.child({ route: "user", handler: "register" });
-      routeLogger.info({ body: req.body }, "Received register user request");
-      const { username, roles, geoLevel_Code, isMobileUser, user_Id } =
-        req.body;
-
-      // Generate random password
-      let password = "";
-      const consonants = "bcdfghjklmnpqrstvwxyz";
-      for (let i = 0; i < 6; i++) {
-        password += consonants.charAt(
-          Math.floor(Math.random() * consonants.length)
-        );
-      }
-
-      // Hash the password
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-      const { lastID } = await userOps.create({
-        username,
-        roles,
-        geoLevel_Code,
-        isMobileUser,
-        user_Id,
-        password: hashedPassword,
-      });
-
-      res.status(201).json({
-        id: lastID,
-        message: "User registered successfully",
-      });
-    }),
-
     update: createHandler(async (req, res) => {
       const routeLogger = logger.child({ route: "user", handler: "update" });
       routeLogger.info(
         { id: req.params.id, body: req.body },
         "Received update user request"
       );
+      const unknownRoles = findUnknownRoles(req.body.roles);
+      if (unknownRoles.length > 0) {
+        return res
+          .status(400)
+          .json({ error: `Unknown roles: ${unknownRoles.join(", ")}` });
+      }
       res.setHeader("Content-Type", "text/event-stream");
       res.setHeader("Cache-Control", "no-cache");
       res.setHeader("Connection", "keep-alive");
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("users", req.params.id);
         const { changes } = await userOps.update(req.params.id, req.body);
 
         if (changes === 0) {
@@ -139,6 +364,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "users", id: req.params.id, action: "update", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -168,6 +395,7 @@ module.exports = (dependencies) => {
       res.flushHeaders();
 
       try {
+        const before = await auditLog.snapshot("users", req.params.id);
         const { changes } = await userOps.delete(req.params.id);
 
         if (changes === 0) {
@@ -181,6 +409,8 @@ module.exports = (dependencies) => {
           return res.status(404).end();
         }
 
+        await auditLog.record(req, { entity: "users", id: req.params.id, action: "delete", before });
+
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
@@ -202,49 +432,302 @@ module.exports = (dependencies) => {
 
     login: createHandler(async (req, res) => {
       const routeLogger = logger.child({ route: "user", handler: "login" });
-      routeLogger.info({ body: req.body }, "Received login user request");
       const { username, password } = req.body;
+      const attempt = {
+        username,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      };
+      routeLogger.info({ username, ip: attempt.ip }, "Received login user request");
 
-      const user = await userOps.getByUsername(username);
+      const tooManyRequests = (retryAfter, reason) => {
+        routeLogger.warn({ username, ip: attempt.ip, retryAfter }, reason);
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          message: "Too many failed login attempts, please try again later",
+          retryAfter,
+        });
+      };
 
-      if (!user) {
-        logger.warn({ username }, "User not found");
-        return res.status(400).send("Cannot find user");
+      try {
+        // Per-IP throttling covers guessing across many usernames
+        const ipFailures = await loginAttemptOps.recentFailures("ip", attempt.ip);
+        if (ipFailures.count >= LOGIN_GUARD.MAX_IP_FAILURES) {
+          return tooManyRequests(LOGIN_GUARD.WINDOW_MINUTES * 60, "IP blocked after repeated failures");
+        }
+        const ipRetryAfter = getRetryAfterSeconds(
+          ipFailures.count,
+          ipFailures.last_failure,
+          // Offices share an IP, so IP delays start only halfway to the block
+          Math.floor(LOGIN_GUARD.MAX_IP_FAILURES / 2)
+        );
+        if (ipRetryAfter > 0) {
+          return tooManyRequests(ipRetryAfter, "Login throttled for IP");
+        }
+
+        const user = await userOps.getByUsername(username);
+
+        // A locked account answers like a wrong password, so lockouts do not reveal which usernames exist
+        const lockedUntil = user && parseDbTime(user.locked_until);
+        if (lockedUntil && lockedUntil > new Date()) {
+          await bcrypt.compare(password || "", user.password);
+          await loginAttemptOps.create({ ...attempt, userId: user.id, success: false, reason: "locked" });
+          routeLogger.warn({ username, lockedUntil }, "Login attempt on locked account");
+          return res.status(401).json({ message: "Invalid username or password" });
+        }
+
+        // Per-username delays; unknown usernames are tracked by the audit table only
+        const userFailures = await loginAttemptOps.recentFailures("username", username || "");
+        const userRetryAfter = getRetryAfterSeconds(
+          user ? user.failed_login_count || 0 : userFailures.count,
+          userFailures.last_failure,
+          LOGIN_GUARD.FREE_USER_FAILURES
+        );
+        if (userRetryAfter > 0) {
+          return tooManyRequests(userRetryAfter, "Login throttled for username");
+        }
+
+        if (!user || user.isActive === 0) {
+          await bcrypt.compare(password || "", DUMMY_PASSWORD_HASH);
+          await loginAttemptOps.create({ ...attempt, success: false, reason: "unknown_user" });
+          routeLogger.warn({ username }, "User not found");
+          return res.status(401).json({ message: "Invalid username or password" });
+        }
+
+        if (!(await bcrypt.compare(password || "", user.password))) {
+          await loginAttemptOps.create({ ...attempt, userId: user.id, success: false, reason: "bad_password" });
+          await userOps.recordLoginFailure(user.id);
+          routeLogger.warn({ username }, "Incorrect password");
+          return res
+            .status(401)
+            .json({ message: "Invalid username or password" });
+        }
+
+        await loginAttemptOps.create({ ...attempt, userId: user.id, success: true });
+        await userOps.recordLoginSuccess(user.id);
+        res.json({ ...toPublicUser(user), ...(await issueTokens(user)) });
+      } catch (error) {
+        routeLogger.error({ error, username }, "Error during login");
+        res.status(500).json({ message: "Login failed" });
+      }
+    }),
+
+    unlock: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "user", handler: "unlock", id: req.params.id });
+      routeLogger.info({ by: req.user.id }, "Received unlock user request");
+
+      const before = await auditLog.snapshot("users", req.params.id);
+      const { changes } = await userOps.unlock(req.params.id);
+      if (changes === 0) {
+        return res.status(404).json({ message: "User not found" });
       }
+      await auditLog.record(req, { entity: "users", id: req.params.id, action: "unlock", before });
+
+      routeLogger.info("User unlocked");
+      res.json({ id: parseInt(req.params.id), message: "User unlocked successfully" });
+    }),
 
+    getLoginAttempts: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "user", handler: "getLoginAttempts" });
+      routeLogger.info({ query: req.query }, "Received get login attempts request");
       try {
-        if (await bcrypt.compare(password, user.password)) {
-          res.json(user);
-        } else {
-          logger.warn({ username }, "Incorrect password");
-          res.send("Not Allowed");
-        }
+        res.json(await loginAttemptOps.getAll(req.query));
       } catch (error) {
-        logger.error({ error, username }, "Error during login");
-        res.status(500).send();
+        routeLogger.error({ error }, "Error fetching login attempts");
+        res.status(500).json({ error: error.message });
+      }
+    }),
+
+    refresh: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "user", handler: "refresh" });
+      routeLogger.info("Received refresh token request");
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ message: "Refresh token is required" });
       }
+
+      const tokenHash = auth.hashToken(refreshToken);
+      const stored = await tokenOps.getActive(tokenHash);
+      if (!stored) {
+        routeLogger.warn("Unknown, expired or revoked refresh token");
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      const user = await userOps.getById(stored.user_id);
+      if (!user || user.isActive === 0) {
+        await tokenOps.revoke(tokenHash);
+        routeLogger.warn({ userId: stored.user_id }, "User no longer active");
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+
+      // Rotate: the presented refresh token can only be used once. Revoking is the
+      // claim, so of two concurrent refreshes with the same token only one wins.
+      const { changes } = await tokenOps.revoke(tokenHash);
+      if (changes !== 1) {
+        routeLogger.warn({ userId: stored.user_id }, "Refresh token already used");
+        return res.status(401).json({ message: "Invalid refresh token" });
+      }
+      res.json(await issueTokens(user));
+    }),
+
+    logout: createHandler(async (req, res) => {
+      const routeLogger = logger.child({ route: "user", handler: "logout" });
+      routeLogger.info("Received logout request");
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({ message: "Refresh token is required" });
+      }
+
+      await tokenOps.revoke(auth.hashToken(refreshToken));
+      res.status(204).end();
+    }),
+
+    changePassword: createHandler(async (req, res) => {
+      const routeLogger = logger.child({
+        route: "user",
+        handler: "changePassword",
+        userId: req.user.id,
+      });
+      routeLogger.info("Received change password request");
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await userOps.getById(req.user.id);
+      if (!user || user.isActive === 0) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (!(await bcrypt.compare(currentPassword || "", user.password))) {
+        routeLogger.warn("Incorrect current password");
+        return res.status(400).json({ message: "Current password is incorrect" });
+      }
+
+      const problems = validatePasswordStrength(newPassword, user.username);
+      if (currentPassword === newPassword) {
+        problems.push("New password must differ from the current password");
+      }
+      if (problems.length > 0) {
+        return res.status(400).json({ message: problems.join(", "), errors: problems });
+      }
+
+      const before = await auditLog.snapshot("users", user.id);
+      await userOps.updatePassword(user.id, await bcrypt.hash(newPassword, saltRounds));
+      await auditLog.record(req, { entity: "users", id: user.id, action: "change_password", before });
+      // Sign out every other session, then hand this one a fresh token pair
+      await tokenOps.revokeAllForUser(user.id);
+      routeLogger.info("Password changed");
+
+      const updated = await userOps.getById(user.id);
+      res.json({
+        message: "Password changed successfully",
+        ...(await issueTokens(updated)),
+      });
+    }),
+
+    requestPasswordReset: createHandler(async (req, res) => {
+      const routeLogger = logger.child({
+        route: "user",
+        handler: "requestPasswordReset",
+        id: req.params.id,
+      });
+      routeLogger.info({ by: req.user.id }, "Received password reset request");
+
+      const user = await userOps.getById(req.params.id);
+      if (!user || user.isActive === 0) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      const resetToken = crypto.randomBytes(32).toString("hex");
+      const expiresAt = new Date(
+        Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+      ).toISOString();
+      await resetOps.create(user.id, auth.hashToken(resetToken), expiresAt, req.user.id);
+
+      if (user.email && isMailConfigured()) {
+        try {
+          await sendMail({
+            to: user.email,
+            subject: "Password reset",
+            text:
+              `Hi ${user.username},\n\nA password reset was requested for your account. ` +
+              `Use this one-time code to set a new password: ${resetToken}\n\n` +
+              `The code expires at ${expiresAt}.`,
+          });
+          routeLogger.info("Password reset token emailed");
+          return res.json({ message: "Password reset instructions sent", expiresAt });
+        } catch (error) {
+          routeLogger.error({ error }, "Failed to email reset token, returning it instead");
+        }
+      }
+
+      res.json({ message: "Password reset token created", resetToken, expiresAt });
+    }),
+
+    completePasswordReset: createHandler(async (req, res) => {
+      const routeLogger = logger.child({
+        route: "user",
+        handler: "completePasswordReset",
+      });
+      routeLogger.info("Received complete password reset request");
+      const { token, newPassword } = req.body;
+
+      const reset = token ? await resetOps.getActive(auth.hashToken(token)) : null;
+      if (!reset) {
+        return res.status(400).json({ message: "Invalid or expired reset token" });
+      }
+
+      const user = await userOps.getById(reset.user_id);
+      if (!user || user.isActive === 0) {
+        return res.status(400).json({ message: "Invalid or expired reset token" });
+      }
+
+      const problems = validatePasswordStrength(newPassword, user.username);
+      if (problems.length > 0) {
+        return res.status(400).json({ message: problems.join(", "), errors: problems });
+      }
+
+      // Claimed before the password changes so that a token is only ever redeemed once
+      const { changes } = await resetOps.claim(reset.id);
+      if (changes !== 1) {
+        return res.status(400).json({ message: "Invalid or expired reset token" });
+      }
+
+      const before = await auditLog.snapshot("users", user.id);
+      await userOps.updatePassword(user.id, await bcrypt.hash(newPassword, saltRounds));
+      await auditLog.record(req, {
+        entity: "users",
+        id: user.id,
+        action: "reset_password",
+        before,
+        actor: user,
+      });
+      await tokenOps.revokeAllForUser(user.id);
+      routeLogger.info({ userId: user.id }, "Password reset completed");
+
+      res.json({ message: "Password has been reset" });
     }),
 
     register: createHandler(async (req, res) => {
       const routeLogger = logger.child({ route: "user", handler: "register" });
       routeLogger.info({ body: req.body }, "Received register user request");
+      const unknownRoles = findUnknownRoles(req.body.roles);
+      if (unknownRoles.length > 0) {
+        return res
+          .status(400)
+          .json({ error: `Unknown roles: ${unknownRoles.join(", ")}` });
+      }
       res.setHeader("Content-Type", "text/event-stream");
       res.setHeader("Cache-Control", "no-cache");
       res.setHeader("Connection", "keep-alive");
       res.flushHeaders();
 
       try {
-        const { username, roles, geoLevel_Code, isMobileUser, user_Id } =
+        const { username, roles, email, geoLevel_Code, isMobileUser, user_Id } =
           req.body;
 
-        // Generate random password
-        let password = "";
-        const consonants = "bcdfghjklmnpqrstvwxyz";
-        for (let i = 0; i < 6; i++) {
-          password += consonants.charAt(
-            Math.floor(Math.random() * consonants.length)
-          );
-        }
+        // Temporary password; the user must change it on first login
+        const password = generateTemporaryPassword();
 
         // Hash the password
         const hashedPassword = await bcrypt.hash(password, saltRounds);
@@ -252,17 +735,19 @@ module.exports = (dependencies) => {
         const { lastID } = await userOps.create({
           username,
           roles,
+          email,
           geoLevel_Code,
           isMobileUser,
           user_Id,
           password: hashedPassword,
-          passwordnoty: password,
         });
+        await auditLog.record(req, { entity: "users", id: lastID, action: "create" });
 
         res.write(
           `data: ${JSON.stringify({
             status: "complete",
             id: lastID,
+            temporaryPassword: password,
             message: "User registered successfully",
           })}\n\n`
         );
@@ -290,7 +775,7 @@ module.exports = (dependencies) => {
    *       200:
    *         description: Successful operation
    */
-  router.get("/users", handlers.getAll);
+  router.get("/users", auth.authenticate, handlers.getAll);
   /**
    * @swagger
    * /register:
@@ -307,6 +792,9 @@ module.exports = (dependencies) => {
    *                 type: string
    *               roles:
    *                 type: string
+   *                 description: Comma separated roles (admin, supervisor, enumerator, viewer)
+   *               email:
+   *                 type: string
    *               geoLevel_Code:
    *                 type: string
    *               isMobileUser:
@@ -317,7 +805,7 @@ module.exports = (dependencies) => {
    *       201:
    *         description: User registered successfully
    */
-  router.post("/user/register", handlers.register);
+  router.post("/user/register", auth.authenticate, handlers.register);
   /**
    * @swagger
    * /{id}:
@@ -341,6 +829,9 @@ module.exports = (dependencies) => {
    *                 type: string
    *               roles:
    *                 type: string
+   *                 description: Comma separated roles (admin, supervisor, enumerator, viewer)
+   *               email:
+   *                 type: string
    *               geoLevel_Code:
    *                 type: string
    *               isMobileUser:
@@ -355,7 +846,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: User not found
    */
-  router.put("/user/:id", handlers.update);
+  router.put("/user/:id", auth.authenticate, handlers.update);
   /**
    * @swagger
    * /{id}:
@@ -374,7 +865,7 @@ module.exports = (dependencies) => {
    *       404:
    *         description: User not found
    */
-  router.delete("/user/:id", handlers.delete);
+  router.delete("/user/:id", auth.authenticate, handlers.delete);
   /**
    * @swagger
    * /user/login:
@@ -393,11 +884,166 @@ module.exports = (dependencies) => {
    *                 type: string
    *     responses:
    *       200:
-   *         description: Successful login
-   *       400:
-   *         description: Invalid username or password
+   *         description: Successful login, returns the user with access and refresh tokens
+   *       401:
+   *         description: Invalid username or password, or the account is temporarily locked after repeated failures
+   *       429:
+   *         description: Too many failed attempts, retry after the Retry-After header
    */
   router.post("/user/login", handlers.login);
+  /**
+   * @swagger
+   * /user/refresh:
+   *   post:
+   *     summary: Exchange a refresh token for a new access/refresh token pair
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: New token pair issued
+   *       401:
+   *         description: Refresh token is invalid, expired or revoked
+   */
+  router.post("/user/refresh", handlers.refresh);
+  /**
+   * @swagger
+   * /user/logout:
+   *   post:
+   *     summary: Revoke a refresh token
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               refreshToken:
+   *                 type: string
+   *     responses:
+   *       204:
+   *         description: Refresh token revoked
+   */
+  router.post("/user/logout", handlers.logout);
+  /**
+   * @swagger
+   * /user/change-password:
+   *   post:
+   *     summary: Change the signed-in user's password
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               currentPassword:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *                 description: At least 8 characters with upper and lower case letters and a digit
+   *     responses:
+   *       200:
+   *         description: Password changed, returns a new token pair
+   *       400:
+   *         description: Current password is wrong or the new password is too weak
+   */
+  router.post("/user/change-password", auth.authenticate, handlers.changePassword);
+  /**
+   * @swagger
+   * /user/{id}/reset-password:
+   *   post:
+   *     summary: Create a one-time password reset token for a user (admin)
+   *     description: The token is emailed when the user has an email address and SMTP is configured, otherwise it is returned.
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: Reset token created
+   *       404:
+   *         description: User not found
+   */
+  router.post("/user/:id/reset-password", auth.authenticate, handlers.requestPasswordReset);
+  /**
+   * @swagger
+   * /user/reset-password:
+   *   post:
+   *     summary: Set a new password using a one-time reset token
+   *     requestBody:
+   *       required: true
+   *       content:
+   *         application/json:
+   *           schema:
+   *             type: object
+   *             properties:
+   *               token:
+   *                 type: string
+   *               newPassword:
+   *                 type: string
+   *     responses:
+   *       200:
+   *         description: Password has been reset
+   *       400:
+   *         description: Invalid or expired token, or the new password is too weak
+   */
+  router.post("/user/reset-password", handlers.completePasswordReset);
+  /**
+   * @swagger
+   * /user/{id}/unlock:
+   *   post:
+   *     summary: Clear the failed login counter and lockout of a user (admin)
+   *     parameters:
+   *       - in: path
+   *         name: id
+   *         required: true
+   *         schema:
+   *           type: integer
+   *     responses:
+   *       200:
+   *         description: User unlocked successfully
+   *       404:
+   *         description: User not found
+   */
+  router.post("/user/:id/unlock", auth.authenticate, handlers.unlock);
+  /**
+   * @swagger
+   * /user/login-attempts:
+   *   get:
+   *     summary: List recent login attempts, newest first
+   *     parameters:
+   *       - in: query
+   *         name: username
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: ip
+   *         schema:
+   *           type: string
+   *       - in: query
+   *         name: success
+   *         schema:
+   *           type: integer
+   *           enum: [0, 1]
+   *       - in: query
+   *         name: limit
+   *         schema:
+   *           type: integer
+   *           default: 100
+   *     responses:
+   *       200:
+   *         description: Successful operation
+   */
+  router.get("/user/login-attempts", auth.authenticate, handlers.getLoginAttempts);
 
   return router;
 };